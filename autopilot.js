@@ -0,0 +1,66 @@
+// =============================================================
+// autopilot.js - Attitude autopilot (SAS)
+// =============================================================
+//
+// SAS turns the rocket toward a heading chosen by the active mode, at the
+// same ROCKET_ROTATION_SPEED as manual steering. It runs inside sim.step()
+// (input.sas / input.sasTarget) so replays reproduce it. Pure functions, no
+// DOM.
+
+import { dominantBody } from './orbit.js';
+import { targetBody } from './targets.js';
+
+/** Mode ids and their HUD names, in button order. */
+export const SAS_MODES = {
+  hold: 'Hold',
+  prograde: 'Prograde',
+  retrograde: 'Retrograde',
+  radialIn: 'Radial in',
+  radialOut: 'Radial out',
+  target: 'Target',
+  antiTarget: 'Anti-target',
+};
+
+/**
+ * Heading (radians, same convention as rocket.angle) the mode wants, or null
+ * if it's undefined right now: no velocity relative to the body for
+ * prograde/retrograde, no target for the target modes. Velocity and radial
+ * modes are relative to the dominant body, the target modes point at target
+ * id `targetId` (see targets.js, which may name one of `stations`); 'hold'
+ * keeps rocket.sasHold.
+ */
+export function sasHeading(L, planets, rocket, mode, targetId, stations = []) {
+  if (mode === 'hold') return rocket.sasHold ?? null;
+
+  if (mode === 'target' || mode === 'antiTarget') {
+    const target = targetBody(L, planets, targetId, stations);
+    if (!target) return null;
+    const a = Math.atan2(target.y - rocket.y, target.x - rocket.x);
+    return mode === 'target' ? a : a + Math.PI;
+  }
+
+  const body = dominantBody(L, planets, rocket.x, rocket.y);
+  if (mode === 'prograde' || mode === 'retrograde') {
+    const vx = rocket.vx - (body ? body.vx : 0);
+    const vy = rocket.vy - (body ? body.vy : 0);
+    if (Math.hypot(vx, vy) < 1e-6) return null;
+    const a = Math.atan2(vy, vx);
+    return mode === 'prograde' ? a : a + Math.PI;
+  }
+  if (mode === 'radialIn' || mode === 'radialOut') {
+    const a = Math.atan2(rocket.y - (body ? body.y : 0), rocket.x - (body ? body.x : 0));
+    return mode === 'radialOut' ? a : a + Math.PI;
+  }
+  throw new Error(`Unknown SAS mode "${mode}"`);
+}
+
+/**
+ * Rotate input in [-1, 1] that turns the rocket toward `heading` along the
+ * shorter way, easing off so it stops on the heading instead of overshooting.
+ */
+export function sasRotate(L, rocket, heading, dt) {
+  let d = (heading - rocket.angle) % (Math.PI * 2);
+  if (d > Math.PI) d -= Math.PI * 2;
+  if (d < -Math.PI) d += Math.PI * 2;
+  return Math.max(-1, Math.min(1, d / (L.ROCKET_ROTATION_SPEED * dt)));
+}
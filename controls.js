@@ -0,0 +1,213 @@
+// =============================================================
+// controls.js - Key and gamepad bindings, saved in the browser
+// =============================================================
+//
+// Game actions are bound to keyboard codes (KeyboardEvent.code, two per
+// action) and gamepad buttons (standard mapping indices). On top of that a
+// gamepad gives analog input: an analog button (a trigger) as throttle and a
+// stick axis as rotation. Bindings are plain data:
+//
+//   {
+//     version: 1,
+//     keys: { thrust: ['KeyW', 'ArrowUp'], ... },   // null for an unused slot
+//     pad: { thrust: 0, ... },                      // button index or null
+//     throttleButton: 7,                            // analog, or null
+//     rotateAxis: 0,                                // or null
+//     invertRotate: false,
+//   }
+//
+// settings.js edits them; game.js asks keyActions() and readGamepad().
+
+const STORAGE_KEY = 'space-play.controls';
+export const BINDINGS_VERSION = 1;
+// Key slots per action.
+export const KEY_SLOTS = 2;
+// Stick and trigger travel ignored around rest.
+const DEADZONE = 0.15;
+// Analog input is rounded to this step, so replays record only real changes.
+const ANALOG_STEP = 0.01;
+
+/** Rebindable actions in settings order, with labels. */
+export const ACTIONS = {
+  thrust: 'Thrust',
+  rotateLeft: 'Rotate left',
+  rotateRight: 'Rotate right',
+  slower: 'Time slower',
+  faster: 'Time faster',
+  pause: 'Pause',
+  respawn: 'Respawn',
+  trajectory: 'Toggle trajectory',
+  target: 'Cycle target',
+  cameraFocus: 'Camera focus',
+  cameraFrame: 'Co-rotating frame',
+  // One per autopilot mode, see sasAction().
+  sasHold: 'SAS hold',
+  sasPrograde: 'SAS prograde',
+  sasRetrograde: 'SAS retrograde',
+  sasRadialIn: 'SAS radial in',
+  sasRadialOut: 'SAS radial out',
+  sasTarget: 'SAS target',
+  sasAntiTarget: 'SAS anti-target',
+  sasOff: 'SAS off',
+  deleteNode: 'Delete maneuver node',
+  menu: 'Save / load menu',
+};
+
+/** Action selecting SAS mode `mode` (a SAS_MODES id in autopilot.js). */
+export const sasAction = (mode) => `sas${mode[0].toUpperCase()}${mode.slice(1)}`;
+
+/** Fresh copy of the default bindings (Xbox-style pad layout). */
+export function defaultBindings() {
+  return {
+    version: BINDINGS_VERSION,
+    keys: {
+      thrust: ['KeyW', 'ArrowUp'],
+      rotateLeft: ['KeyA', 'ArrowLeft'],
+      rotateRight: ['KeyD', 'ArrowRight'],
+      slower: ['Comma', 'BracketLeft'],
+      faster: ['Period', 'BracketRight'],
+      pause: ['Space', null],
+      respawn: ['KeyR', null],
+      trajectory: ['KeyT', null],
+      target: ['KeyG', null],
+      cameraFocus: ['KeyC', null],
+      cameraFrame: ['KeyV', null],
+      sasHold: ['Digit1', null],
+      sasPrograde: ['Digit2', null],
+      sasRetrograde: ['Digit3', null],
+      sasRadialIn: ['Digit4', null],
+      sasRadialOut: ['Digit5', null],
+      sasTarget: ['Digit6', null],
+      sasAntiTarget: ['Digit7', null],
+      sasOff: ['Digit0', 'Backquote'],
+      deleteNode: ['Delete', 'Backspace'],
+      menu: ['Escape', null],
+    },
+    pad: {
+      thrust: 0, // A
+      rotateLeft: 14, // d-pad left
+      rotateRight: 15, // d-pad right
+      slower: 4, // LB
+      faster: 5, // RB
+      pause: 9, // Start
+      respawn: 3, // Y
+      trajectory: 8, // Back
+      target: 1, // B
+      cameraFocus: 11, // right stick click
+      cameraFrame: 10, // left stick click
+      sasHold: null,
+      sasPrograde: null,
+      sasRetrograde: null,
+      sasRadialIn: null,
+      sasRadialOut: null,
+      sasTarget: null,
+      sasAntiTarget: null,
+      sasOff: null,
+      deleteNode: null,
+      menu: null,
+    },
+    throttleButton: 7, // RT
+    rotateAxis: 0, // left stick X
+    invertRotate: false,
+  };
+}
+
+let current = null;
+
+// Saved bindings over the defaults, so actions added later get theirs.
+function fromStorage() {
+  const b = defaultBindings();
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    // Corrupt storage counts as none.
+  }
+  if (saved?.version !== BINDINGS_VERSION) return b;
+  const fresh = [];
+  for (const action of Object.keys(ACTIONS)) {
+    if (Array.isArray(saved.keys?.[action])) {
+      b.keys[action] = Array.from({ length: KEY_SLOTS }, (_, i) => saved.keys[action][i] ?? null);
+    } else {
+      fresh.push(action);
+    }
+    if (saved.pad && action in saved.pad) b.pad[action] = saved.pad[action];
+  }
+  // A key does one thing: new actions don't get defaults the player has
+  // since bound to something else.
+  const taken = new Set(Object.keys(ACTIONS).filter(a => !fresh.includes(a)).flatMap(a => b.keys[a]));
+  for (const action of fresh) {
+    b.keys[action] = b.keys[action].map(code => (taken.has(code) ? null : code));
+  }
+  for (const key of ['throttleButton', 'rotateAxis', 'invertRotate']) {
+    if (key in saved) b[key] = saved[key];
+  }
+  return b;
+}
+
+/** The bindings in effect (saved ones, else the defaults). */
+export function currentBindings() {
+  current ??= fromStorage();
+  return current;
+}
+
+/** Make `bindings` current and remember them in this browser. */
+export function saveBindings(bindings) {
+  current = bindings;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+}
+
+/** Actions bound to a KeyboardEvent.code. */
+export function keyActions(code, bindings = currentBindings()) {
+  return Object.keys(ACTIONS).filter(a => bindings.keys[a]?.includes(code));
+}
+
+/** Readable name for a KeyboardEvent.code ("KeyW" -> "W"). */
+export function keyName(code) {
+  if (!code) return '-';
+  return code.replace(/^Key|^Digit/, '').replace(/^Arrow(.*)/, '$1 arrow');
+}
+
+// Past the deadzone, rescaled to start at 0, rounded to ANALOG_STEP.
+function analog(v) {
+  const mag = Math.max(0, Math.abs(v) - DEADZONE) / (1 - DEADZONE);
+  return Math.sign(v) * Math.round(Math.min(1, mag) / ANALOG_STEP) * ANALOG_STEP;
+}
+
+/** First connected gamepad, or null. */
+export function connectedGamepad() {
+  const pads = navigator.getGamepads?.() ?? [];
+  return [...pads].find(p => p?.connected) ?? null;
+}
+
+/**
+ * What to press for `action`, for prompts: its keys, plus its gamepad button
+ * while a pad is connected ("R or Button 3"). null when nothing is bound.
+ */
+export function bindingHint(action, bindings = currentBindings()) {
+  const hints = bindings.keys[action].filter(Boolean).map(keyName);
+  const button = bindings.pad[action];
+  if (button !== null && button !== undefined && connectedGamepad()) hints.push(`Button ${button}`);
+  return hints.length ? hints.join(' or ') : null;
+}
+
+export const NO_PAD = { throttle: 0, rotate: 0, held: new Set() };
+
+/**
+ * Current state of the first gamepad: { throttle (0..1), rotate (-1..1,
+ * 1 = counterclockwise like the rotate-left key), held } with held the set
+ * of actions whose button is down. NO_PAD without one.
+ */
+export function readGamepad(bindings = currentBindings()) {
+  const pad = connectedGamepad();
+  if (!pad) return NO_PAD;
+  const held = new Set();
+  for (const action of Object.keys(ACTIONS)) {
+    if (pad.buttons[bindings.pad[action]]?.pressed) held.add(action);
+  }
+  const trigger = pad.buttons[bindings.throttleButton];
+  const axis = pad.axes[bindings.rotateAxis] ?? 0;
+  // Stick right turns right (clockwise), unless inverted.
+  const rotate = analog(bindings.invertRotate ? axis : -axis);
+  return { throttle: trigger ? analog(trigger.value) : 0, rotate: rotate || 0, held };
+}
@@ -0,0 +1,128 @@
+// =============================================================
+// draw.js - Scene helpers shared by the game and the level editor
+// =============================================================
+//
+// Uses the global THREE (loaded by index.html). Nothing here is added to the
+// scene or the page; callers own what they create.
+
+/** Level color number to a CSS "#rrggbb" string. */
+export function cssColor(color) {
+  return '#' + (color >>> 0).toString(16).padStart(6, '0');
+}
+
+/**
+ * Faint line around the sun for a planet's orbit: a circle, or an ellipse
+ * with the sun at a focus when eccentricity > 0 (radius is then the
+ * semi-major axis, argPeriapsis the direction of closest approach).
+ */
+export function makeOrbitLine(radius, eccentricity = 0, argPeriapsis = 0) {
+  const p = radius * (1 - eccentricity * eccentricity);
+  const pts = [];
+  for (let i = 0; i <= 256; i++) {
+    const nu = (i / 256) * Math.PI * 2;
+    const r = p / (1 + eccentricity * Math.cos(nu));
+    const a = argPeriapsis + nu;
+    pts.push(new THREE.Vector3(Math.cos(a) * r, Math.sin(a) * r, -0.5));
+  }
+  return new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(pts),
+    new THREE.LineBasicMaterial({ color: 0x334455, transparent: true, opacity: 0.35 })
+  );
+}
+
+/**
+ * Translucent shell in the planet's color out to the top of its atmosphere,
+ * centered on the planet (add it to the planet mesh). null without one.
+ */
+export function makeAtmosphere(planet) {
+  if (!planet.atmosphere) return null;
+  const shell = new THREE.Mesh(
+    new THREE.CircleGeometry(planet.radius + planet.atmosphere.height, 48),
+    new THREE.MeshBasicMaterial({ color: planet.color, transparent: true, opacity: 0.18 })
+  );
+  shell.position.z = -0.1;
+  return shell;
+}
+
+/**
+ * Darker patches around the edge of a spinning planet (planet.spin != 0) so
+ * its turning shows; add it to the planet mesh and turn that. null for a
+ * planet that doesn't spin.
+ */
+export function makeSurfaceMarks(planet) {
+  if (!planet.spin) return null;
+  const material = new THREE.MeshBasicMaterial({ color: new THREE.Color(planet.color).multiplyScalar(0.7) });
+  const group = new THREE.Group();
+  for (let i = 0; i < 5; i++) {
+    const a = (i / 5) * Math.PI * 2;
+    const r = planet.radius * (0.12 + 0.04 * (i % 3));
+    const patch = new THREE.Mesh(new THREE.CircleGeometry(r, 16), material);
+    patch.position.set(Math.cos(a) * (planet.radius - r * 1.2), Math.sin(a) * (planet.radius - r * 1.2), 0.05);
+    group.add(patch);
+  }
+  return group;
+}
+
+/**
+ * A station: a square hull of the station's radius with a solar panel on
+ * either side, in its color.
+ */
+export function makeStation(station) {
+  const r = station.radius;
+  const material = new THREE.MeshBasicMaterial({ color: station.color });
+  const hull = new THREE.Mesh(new THREE.PlaneGeometry(r * 1.4, r * 1.4), material);
+  const panels = new THREE.Mesh(
+    new THREE.PlaneGeometry(r * 4, r * 0.5),
+    new THREE.MeshBasicMaterial({ color: 0x3355aa })
+  );
+  panels.position.z = -0.05;
+  const group = new THREE.Group();
+  group.add(panels, hull);
+  return group;
+}
+
+/** Screen-space text label for a world point, see placeWorldLabel. */
+export function makeWorldLabel(color, text) {
+  const el = document.createElement('div');
+  el.style.cssText = `
+    position:fixed; pointer-events:none; z-index:11;
+    display:none;
+    font-family:'Courier New',monospace; font-size:12px;
+    color:${color}; text-shadow:0 0 4px #000;
+    transform:translate(-50%,-50%);
+    white-space:nowrap;
+  `;
+  el.textContent = text;
+  return el;
+}
+
+/**
+ * Position a makeWorldLabel element just above a world point (hidden when
+ * off-screen or not wanted).
+ */
+export function placeWorldLabel(el, camera, worldX, worldY, visible = true) {
+  const v = new THREE.Vector3(worldX, worldY, 0).project(camera);
+  const sx = (v.x * 0.5 + 0.5) * window.innerWidth;
+  const sy = (-v.y * 0.5 + 0.5) * window.innerHeight;
+  const onScreen = (sx >= 0 && sx <= window.innerWidth && sy >= 0 && sy <= window.innerHeight && v.z < 1);
+  el.style.display = visible && onScreen ? 'block' : 'none';
+  if (visible && onScreen) {
+    el.style.left = sx + 'px';
+    el.style.top = (sy - 18) + 'px';
+  }
+}
+
+/**
+ * Small deterministic PRNG (mulberry32): returns a function giving floats in
+ * [0, 1) like Math.random, the same sequence for the same seed.
+ */
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
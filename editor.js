@@ -0,0 +1,474 @@
+// =============================================================
+// editor.js - Level/system editor
+// =============================================================
+//
+// Edits level file data (see levels.js) in place through the #editor panel in
+// index.html and a top-down preview of the system at t = 0, drawn from a
+// throwaway simulation so it matches what the game will start with.
+
+import { LEVELS } from './physics.js?v=2';
+import { createSimulation } from './simulation.js';
+import {
+  validateLevel, parseLevel, exportLevel, registerLevel, saveLocalLevel, localLevelId,
+} from './levels.js';
+import { cssColor, makeOrbitLine, makeAtmosphere, makeStation, makeWorldLabel, placeWorldLabel } from './draw.js';
+
+const PLANET_COLORS = ['#44aacc', '#cc6644', '#d6c26a', '#66cc77', '#aa77dd', '#dd88aa'];
+const PICK_PX = 10; // pointer slop for grabbing planets and the rocket
+
+// Farthest a planet spec gets from the sun (while the data may be invalid);
+// moons stay near their planet.
+const apoapsis = (p) => (p.parent ? 0 : (p.orbitalRadius || 0) * (1 + (p.eccentricity || 0)));
+
+/** Plain level data for a new system: tutorial physics and one planet. */
+export function blankLevel() {
+  const data = JSON.parse(exportLevel(LEVELS.tutorial));
+  delete data.OBJECTIVES;
+  return {
+    ...data,
+    name: 'New system',
+    description: '',
+    PLANETS: [{ name: 'Home', color: PLANET_COLORS[0], mass: 10, radius: 10, orbitalRadius: 300 }],
+  };
+}
+
+/**
+ * Open the editor on level file data, which is edited in place. options:
+ * { onPlay(levelId, data) } after Play registered the level, { onExit(data) }
+ * after Back. Both are called once the editor has been torn down. Returns
+ * { stop }.
+ */
+export function startEditor(data, options = {}) {
+  const lifetime = new AbortController();
+  const { signal } = lifetime;
+  const ownedEls = [];
+  function own(el) {
+    document.body.appendChild(el);
+    ownedEls.push(el);
+    return el;
+  }
+
+  const panel = document.getElementById('editor');
+  const planetList = document.getElementById('ed-planets');
+  const spawnBody = document.getElementById('ed-spawn-body');
+  const parentSelect = document.getElementById('ed-parent');
+  const errorsEl = document.getElementById('ed-errors');
+  const statusEl = document.getElementById('ed-status');
+  let selected = 0;
+
+  // =========================================================
+  // Preview scene
+  // =========================================================
+
+  const scene = new THREE.Scene();
+  const renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  renderer.setPixelRatio(window.devicePixelRatio);
+  own(renderer.domElement);
+
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+  camera.position.z = 100;
+  // Visible world height and center; starts framing the whole system.
+  const view = { x: 0, y: 0, size: 1 };
+  function fitView() {
+    const extent = Math.max(data.SUN_RADIUS || 0, ...data.PLANETS.map(p => apoapsis(p) + (p.radius || 0)));
+    view.x = 0;
+    view.y = 0;
+    view.size = 2.3 * (extent || 100);
+  }
+
+  const sunMesh = new THREE.Mesh(
+    new THREE.CircleGeometry(1, 64),
+    new THREE.MeshBasicMaterial({ color: 0xffcc00 })
+  );
+  scene.add(sunMesh);
+
+  // Rocket spawn marker, scaled to a fixed screen size in render().
+  const rocketShape = new THREE.Shape();
+  rocketShape.moveTo(0, 1);
+  rocketShape.lineTo(-0.6, -0.6);
+  rocketShape.lineTo(0.6, -0.6);
+  rocketShape.closePath();
+  const rocketMesh = new THREE.Mesh(
+    new THREE.ShapeGeometry(rocketShape),
+    new THREE.MeshBasicMaterial({ color: 0xff3333 })
+  );
+  rocketMesh.position.z = 0.5;
+  scene.add(rocketMesh);
+
+  // Orbit lines, planet disks, stations and labels are rebuilt from the
+  // last valid preview whenever the data changes.
+  const systemGroup = new THREE.Group();
+  scene.add(systemGroup);
+  let planetLabels = [];
+  let stationViews = []; // { mesh, labelEl }, same order as preview.stations
+  let preview = null; // simulation of the current data at t = 0
+
+  function rebuild() {
+    const errors = validateLevel(data);
+    errorsEl.textContent = errors.join('\n');
+    statusEl.textContent = '';
+    if (errors.length) {
+      render();
+      return;
+    }
+    preview = createSimulation(parseLevel(data));
+
+    for (const obj of [...systemGroup.children]) {
+      systemGroup.remove(obj);
+      obj.traverse((o) => {
+        o.geometry?.dispose();
+        o.material?.dispose();
+      });
+    }
+    for (const el of [...planetLabels, ...stationViews.map(v => v.labelEl)]) el.remove();
+
+    sunMesh.scale.set(preview.L.SUN_RADIUS, preview.L.SUN_RADIUS, 1);
+    planetLabels = preview.planets.map((p) => {
+      const orbit = makeOrbitLine(p.orbitalRadius, p.eccentricity, p.argPeriapsis);
+      if (p.parent) orbit.position.set(p.parent.x, p.parent.y, 0);
+      if (p.idx === selected) {
+        orbit.material.color.set(0x88aaff);
+        orbit.material.opacity = 0.8;
+      }
+      systemGroup.add(orbit);
+      const mesh = new THREE.Mesh(
+        new THREE.CircleGeometry(p.radius, 32),
+        new THREE.MeshBasicMaterial({ color: p.color })
+      );
+      mesh.position.set(p.x, p.y, 0);
+      systemGroup.add(mesh);
+      // Alongside the planet rather than a child, so the cleanup above sees it.
+      const atmosphere = makeAtmosphere(p);
+      if (atmosphere) {
+        atmosphere.position.set(p.x, p.y, -0.1);
+        systemGroup.add(atmosphere);
+      }
+      return document.body.appendChild(makeWorldLabel(cssColor(p.color), p.name));
+    });
+    // Drawn as in the game; render() keeps them big enough to find.
+    stationViews = preview.stations.map((s) => {
+      const mesh = makeStation(s);
+      mesh.position.set(s.x, s.y, 0.4);
+      systemGroup.add(mesh);
+      return { mesh, labelEl: document.body.appendChild(makeWorldLabel(cssColor(s.color), s.name)) };
+    });
+    render();
+  }
+
+  function render() {
+    const aspect = window.innerWidth / window.innerHeight;
+    camera.left = -view.size * aspect / 2;
+    camera.right = view.size * aspect / 2;
+    camera.top = view.size / 2;
+    camera.bottom = -view.size / 2;
+    camera.position.x = view.x;
+    camera.position.y = view.y;
+    camera.updateProjectionMatrix();
+
+    rocketMesh.visible = !!preview;
+    if (preview) {
+      const { rocket } = preview;
+      const s = view.size * 0.012;
+      rocketMesh.scale.set(s, s, 1);
+      rocketMesh.position.x = rocket.x;
+      rocketMesh.position.y = rocket.y;
+      rocketMesh.rotation.z = rocket.angle - Math.PI / 2;
+      preview.planets.forEach((p, i) => placeWorldLabel(planetLabels[i], camera, p.x, p.y));
+      preview.stations.forEach((st, i) => {
+        const { mesh, labelEl } = stationViews[i];
+        const scale = Math.max(1, view.size * 0.006 / st.radius);
+        mesh.scale.set(scale, scale, 1);
+        placeWorldLabel(labelEl, camera, st.x, st.y);
+      });
+    }
+    renderer.render(scene, camera);
+  }
+
+  // =========================================================
+  // Panel
+  // =========================================================
+
+  const planet = () => data.PLANETS[selected];
+
+  function readInput(input) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'number') {
+      if (input.value === '') return undefined;
+      const v = Number(input.value);
+      return input.dataset.unit === 'deg' ? v * Math.PI / 180 : v;
+    }
+    return input.value;
+  }
+
+  function writeInput(input, value) {
+    if (input.type === 'checkbox') {
+      input.checked = input.dataset.planetKey === 'refuel' ? value !== false : !!value;
+    } else if (input.dataset.unit === 'deg') {
+      input.value = value === undefined ? '' : +(value * 180 / Math.PI).toFixed(2);
+    } else {
+      input.value = value ?? '';
+    }
+  }
+
+  function setKey(obj, key, value) {
+    if (value === undefined) delete obj[key];
+    else obj[key] = value;
+  }
+
+  function fillPanel() {
+    for (const input of panel.querySelectorAll('[data-key]')) writeInput(input, data[input.dataset.key]);
+
+    planetList.replaceChildren(...data.PLANETS.map((p, i) => new Option(p.name, i, false, i === selected)));
+    // A moon's parent has to be listed before it.
+    parentSelect.replaceChildren(new Option('Sun', ''), ...data.PLANETS.slice(0, selected).map(p => new Option(p.name, p.name)));
+    for (const input of panel.querySelectorAll('[data-planet-key]')) {
+      input.disabled = !planet();
+      if (planet()) writeInput(input, planet()[input.dataset.planetKey]);
+    }
+    for (const input of panel.querySelectorAll('[data-atmosphere-key]')) {
+      input.disabled = !planet();
+      if (planet()) writeInput(input, planet().atmosphere?.[input.dataset.atmosphereKey]);
+    }
+    document.getElementById('ed-delete').disabled = data.PLANETS.length <= 1 || !data.PLANETS.some(p => !p.parent && p !== planet());
+
+    const spawn = data.SPAWN ?? {};
+    spawnBody.replaceChildren(...data.PLANETS.map(p => new Option(p.name, p.name)));
+    for (const input of panel.querySelectorAll('[data-spawn-key]')) {
+      writeInput(input, input === spawnBody ? spawn.body ?? data.PLANETS[0]?.name : spawn[input.dataset.spawnKey]);
+    }
+  }
+
+  // A renamed planet keeps its moons, stations, spawn and objectives.
+  function renamePlanet(from, to) {
+    for (const p of [...data.PLANETS, ...data.STATIONS ?? []]) {
+      if (p.parent === from) p.parent = to;
+    }
+    if (data.SPAWN?.body === from) data.SPAWN.body = to;
+    for (const o of data.OBJECTIVES ?? []) {
+      if (o.body === from) o.body = to;
+    }
+  }
+
+  panel.addEventListener('input', (e) => {
+    const input = e.target;
+    const value = readInput(input);
+    if (input.dataset.key) {
+      setKey(data, input.dataset.key, value === false || (input.dataset.key === 'description' && value === '') ? undefined : value);
+    } else if (input.dataset.planetKey && planet()) {
+      const key = input.dataset.planetKey;
+      if (key === 'name') {
+        renamePlanet(planet().name, value);
+        planetList.options[selected].text = value;
+      }
+      setKey(planet(), key, (key === 'refuel' && value) || (key === 'parent' && !value) ? undefined : value);
+    } else if (input.dataset.atmosphereKey && planet()) {
+      const p = planet();
+      p.atmosphere ??= {};
+      setKey(p.atmosphere, input.dataset.atmosphereKey, value);
+      if (Object.keys(p.atmosphere).length === 0) delete p.atmosphere;
+    } else if (input.dataset.spawnKey) {
+      data.SPAWN ??= {};
+      setKey(data.SPAWN, input.dataset.spawnKey, value === false ? undefined : value);
+      if (Object.keys(data.SPAWN).length === 0) delete data.SPAWN;
+    } else {
+      return;
+    }
+    rebuild();
+  }, { signal });
+
+  // Name edits refresh the spawn planet list once the field is left.
+  panel.addEventListener('change', (e) => {
+    if (e.target.dataset.planetKey === 'name') fillPanel();
+  }, { signal });
+
+  planetList.addEventListener('change', () => {
+    selected = Number(planetList.value);
+    fillPanel();
+    rebuild();
+  }, { signal });
+
+  document.getElementById('ed-add').addEventListener('click', () => {
+    let n = data.PLANETS.length + 1;
+    while (data.PLANETS.some(p => p.name === `Planet ${n}`)) n++;
+    const outer = Math.max(data.SUN_RADIUS || 0, ...data.PLANETS.map(p => apoapsis(p) + (p.radius || 0)));
+    data.PLANETS.push({
+      name: `Planet ${n}`,
+      color: PLANET_COLORS[data.PLANETS.length % PLANET_COLORS.length],
+      mass: 6,
+      radius: 7,
+      orbitalRadius: Math.round(outer + 120),
+    });
+    selected = data.PLANETS.length - 1;
+    fillPanel();
+    rebuild();
+  }, { signal });
+
+  // Deleting a planet also deletes its moons (theirs too) and the stations
+  // orbiting any of them, and drops the spawn and objectives that refer to
+  // what is gone.
+  document.getElementById('ed-delete').addEventListener('click', () => {
+    const gone = new Set([data.PLANETS[selected].name]);
+    for (const p of data.PLANETS) {
+      if (gone.has(p.parent)) gone.add(p.name);
+    }
+    if (gone.size >= data.PLANETS.length) return;
+    data.PLANETS = data.PLANETS.filter(p => !gone.has(p.name));
+    if (data.STATIONS) {
+      for (const s of data.STATIONS) {
+        if (gone.has(s.parent)) gone.add(s.name);
+      }
+      data.STATIONS = data.STATIONS.filter(s => !gone.has(s.name));
+    }
+    if (gone.has(data.SPAWN?.body)) delete data.SPAWN.body;
+    if (data.OBJECTIVES) data.OBJECTIVES = data.OBJECTIVES.filter(o => !gone.has(o.body));
+    selected = Math.min(selected, data.PLANETS.length - 1);
+    fillPanel();
+    rebuild();
+  }, { signal });
+
+  // Play / save / export only valid levels; the error list says what to fix.
+  function validLevel() {
+    const errors = validateLevel(data);
+    errorsEl.textContent = errors.join('\n');
+    return errors.length ? null : parseLevel(data);
+  }
+
+  document.getElementById('ed-play').addEventListener('click', () => {
+    const level = validLevel();
+    if (!level) return;
+    const id = registerLevel(level, localLevelId(data.name), { replace: true });
+    stop();
+    options.onPlay?.(id, data);
+  }, { signal });
+
+  document.getElementById('ed-save').addEventListener('click', () => {
+    const level = validLevel();
+    if (!level) return;
+    saveLocalLevel(structuredClone(data));
+    registerLevel(level, localLevelId(data.name), { replace: true });
+    statusEl.textContent = `Saved "${data.name}" in this browser`;
+  }, { signal });
+
+  document.getElementById('ed-export').addEventListener('click', () => {
+    const level = validLevel();
+    if (!level) return;
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([exportLevel(level)], { type: 'application/json' }));
+    a.download = `${data.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }, { signal });
+
+  document.getElementById('ed-back').addEventListener('click', () => {
+    stop();
+    options.onExit?.(data);
+  }, { signal });
+
+  // =========================================================
+  // Pointer: drag planets, the spawn and the view
+  // =========================================================
+
+  const canvas = renderer.domElement;
+  const toWorld = (e) => {
+    const aspect = window.innerWidth / window.innerHeight;
+    return {
+      x: view.x + (e.clientX / window.innerWidth - 0.5) * view.size * aspect,
+      y: view.y - (e.clientY / window.innerHeight - 0.5) * view.size,
+    };
+  };
+  let drag = null;
+
+  canvas.addEventListener('pointerdown', (e) => {
+    const w = toWorld(e);
+    const slop = PICK_PX * view.size / window.innerHeight;
+    if (preview) {
+      const { rocket, planets } = preview;
+      const hit = planets.find(p => Math.hypot(w.x - p.x, w.y - p.y) <= p.radius + slop);
+      const toRocket = Math.hypot(w.x - rocket.x, w.y - rocket.y);
+      // The rocket sits on or near a planet; grab whichever is closer.
+      if (toRocket <= slop * 1.5 && !(hit && Math.hypot(w.x - hit.x, w.y - hit.y) < toRocket)) {
+        drag = { type: 'spawn' };
+      } else if (hit) {
+        drag = { type: 'planet' };
+        if (selected !== hit.idx) {
+          selected = hit.idx;
+          fillPanel();
+          rebuild();
+        }
+      }
+    }
+    drag ??= { type: 'pan', x: e.clientX, y: e.clientY };
+    canvas.setPointerCapture(e.pointerId);
+  }, { signal });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const w = toWorld(e);
+    if (drag.type === 'pan') {
+      view.x -= (e.clientX - drag.x) * view.size / window.innerHeight;
+      view.y += (e.clientY - drag.y) * view.size / window.innerHeight;
+      drag.x = e.clientX;
+      drag.y = e.clientY;
+      render();
+      return;
+    }
+    if (drag.type === 'planet') {
+      // Move the planet's start along its orbit and resize the orbit (same
+      // shape) so it passes through the pointer. Moons relative to their parent.
+      const p = planet();
+      const e = p.eccentricity || 0;
+      if (!(e >= 0 && e < 1)) return;
+      const parent = preview?.planets.find(q => q.name === p.parent);
+      const dx = w.x - (parent ? parent.x : 0);
+      const dy = w.y - (parent ? parent.y : 0);
+      const nu = Math.atan2(dy, dx) - (p.argPeriapsis || 0);
+      const a = Math.hypot(dx, dy) * (1 + e * Math.cos(nu)) / (1 - e * e);
+      const min = ((parent ? parent.radius : data.SUN_RADIUS || 0) + (p.radius || 0) + 1) / (1 - e);
+      p.orbitalRadius = Math.round(Math.max(min, a));
+      p.trueAnomaly = +Math.atan2(Math.sin(nu), Math.cos(nu)).toFixed(4);
+    } else if (preview) {
+      const body = preview.planets.find(p => p.name === (data.SPAWN?.body ?? data.PLANETS[0].name));
+      const dx = w.x - body.x;
+      const dy = w.y - body.y;
+      data.SPAWN ??= {};
+      data.SPAWN.angle = +Math.atan2(dy, dx).toFixed(4);
+      if (!data.SPAWN.landed) {
+        data.SPAWN.orbitRadius = +Math.max(body.radius + 1, Math.hypot(dx, dy)).toFixed(1);
+      }
+    }
+    fillPanel();
+    rebuild();
+  }, { signal });
+
+  const endDrag = () => { drag = null; };
+  canvas.addEventListener('pointerup', endDrag, { signal });
+  canvas.addEventListener('pointercancel', endDrag, { signal });
+
+  canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    // Zoom about the pointer.
+    const before = toWorld(e);
+    view.size *= Math.exp(e.deltaY * 0.001);
+    const after = toWorld(e);
+    view.x += before.x - after.x;
+    view.y += before.y - after.y;
+    render();
+  }, { passive: false, signal });
+
+  window.addEventListener('resize', () => {
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    render();
+  }, { signal });
+
+  function stop() {
+    lifetime.abort();
+    renderer.dispose();
+    for (const el of [...ownedEls, ...planetLabels, ...stationViews.map(v => v.labelEl)]) el.remove();
+  }
+
+  fitView();
+  fillPanel();
+  rebuild();
+  return { stop };
+}
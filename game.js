@@ -1,16 +1,66 @@
+import { LEVELS } from './physics.js?v=2';
+import { createSimulation, FIXED_DT } from './simulation.js';
+import { predictTrajectory } from './trajectory.js';
+import { rocketOrbit } from './orbit.js';
+import { burnTime } from './maneuver.js';
+import { createMission } from './objectives.js';
 import {
-  LEVELS,
-  gravitationalForce, integrate, checkCollision,
-} from './physics.js?v=2';
+  cssColor, makeOrbitLine, makeAtmosphere, makeSurfaceMarks, makeStation, makeWorldLabel, placeWorldLabel,
+  seededRandom,
+} from './draw.js';
+import {
+  SAVE_VERSION, levelData, stringifyState, parseState, resolveLevel, listSlots, saveSlot, clearSlot, stateLink,
+} from './savegame.js';
+import { createRecorder, createPlayer } from './replay.js';
+import { SAS_MODES, sasRotate } from './autopilot.js';
+import { targetIds, targetBody, relativeMotion, stationIndex, stationTargetId } from './targets.js';
+import { PHYSICS_WARP_LIMIT, warpOnRails } from './warp.js';
+import { keyActions, readGamepad, NO_PAD, sasAction, bindingHint } from './controls.js';
+import { openSettings } from './settings.js';
+import {
+  GAME_EVENTS, eventDetail, gameState, startScript, loadScriptSource, saveScriptSource, EXAMPLE_SCRIPT,
+} from './scripting.js';
+import { createTelemetry } from './telemetry.js';
 
 // =============================================================
 // Exported entry point - called after level selection
 // =============================================================
 
-export function startGame(levelId) {
+/**
+ * Start a level. options: { onExit } is called after the player leaves via the
+ * results screen or the replay bar; { state } resumes a saved state (see
+ * savegame.js) of this level; { replay } plays back a recorded flight (see
+ * replay.js) instead of taking input; { race } flies a race joined with
+ * joinRace() (see multiplayer.js), which it closes when done. Returns
+ * { stop, api }: stop() tears the game down (listeners, canvas, overlays),
+ * api drives it from code (see scripting.js).
+ */
+export function startGame(levelId, options = {}) {
   const L = LEVELS[levelId];
   if (!L) throw new Error(`Unknown levelId "${levelId}"`);
 
+  // World state and stepping live in the simulation; this module only renders
+  // it and feeds it input.
+  const sim = createSimulation(L);
+  const { planets, stations, homePlanet, rocket } = sim;
+  const saved = options.replay?.start ?? options.state ?? null;
+  if (saved) sim.restore(saved.sim);
+  const mission = createMission(sim);
+  if (saved) mission.restore(saved.mission);
+  const race = options.race ?? null;
+
+  // Everything registered on window or on index.html's persistent elements
+  // uses this signal, and everything appended to <body> goes through own(),
+  // so stop() can undo both.
+  const lifetime = new AbortController();
+  const { signal } = lifetime;
+  const ownedEls = [];
+  function own(el) {
+    document.body.appendChild(el);
+    ownedEls.push(el);
+    return el;
+  }
+
   const scene = new THREE.Scene();
 
   let aspect = window.innerWidth / window.innerHeight;
@@ -24,7 +74,7 @@ export function startGame(levelId) {
   const renderer = new THREE.WebGLRenderer({ antialias: true });
   renderer.setSize(window.innerWidth, window.innerHeight);
   renderer.setPixelRatio(window.devicePixelRatio);
-  document.body.appendChild(renderer.domElement);
+  own(renderer.domElement);
 
   let zoom = 1;
   let logZoom = Math.log(zoom);
@@ -35,11 +85,51 @@ export function startGame(levelId) {
     zoom = Math.exp(logZoom);
   };
 
-  // Mobile pinch-to-zoom on the canvas (logarithmic scale).
+  // What the camera centers on: 'rocket' (the home planet while destroyed),
+  // 'sun' or a planet index, plus a pan offset dragged away from it (world
+  // units along the screen axes). frame is the planet index of the
+  // co-rotating frame or null: the view then turns with that planet's orbit,
+  // from its angle when the frame was switched on (frameAngle0).
+  const view = { focus: 'rocket', panX: 0, panY: 0, frame: null, frameAngle0: 0 };
+  // Screen-space pan drag (mouse or one finger); `moved` past a few pixels
+  // means it wasn't a click.
+  const PAN_CLICK_PX = 4;
+  let panDrag = null;
+
+  function startPan(x, y) {
+    panDrag = { x, y, moved: false };
+  }
+
+  function movePan(x, y) {
+    if (!panDrag) return;
+    const dx = x - panDrag.x;
+    const dy = y - panDrag.y;
+    if (!panDrag.moved && Math.hypot(dx, dy) < PAN_CLICK_PX) return;
+    panDrag.moved = true;
+    // Whole viewport height is FRUSTUM_SIZE / zoom world units.
+    const perPx = L.FRUSTUM_SIZE / zoom / window.innerHeight;
+    view.panX -= dx * perPx;
+    view.panY += dy * perPx;
+    panDrag.x = x;
+    panDrag.y = y;
+  }
+
+  renderer.domElement.addEventListener('mousedown', (e) => {
+    if (e.button === 0) startPan(e.clientX, e.clientY);
+  }, { signal });
+  window.addEventListener('mousemove', (e) => movePan(e.clientX, e.clientY), { signal });
+  window.addEventListener('mouseup', () => {
+    // Keep `moved` around for the click event that follows.
+    if (panDrag) panDrag = panDrag.moved ? { moved: true } : null;
+  }, { signal });
+
+  // Mobile: one finger pans, two pinch-to-zoom (logarithmic scale).
   const pinch = { active: false, startDist: 0, startLogZoom: 0 };
   const touchDist = (t0, t1) => Math.hypot(t0.clientX - t1.clientX, t0.clientY - t1.clientY);
   renderer.domElement.addEventListener('touchstart', (e) => {
+    if (e.touches.length === 1) startPan(e.touches[0].clientX, e.touches[0].clientY);
     if (e.touches.length === 2) {
+      panDrag = null;
       pinch.active = true;
       pinch.startDist = touchDist(e.touches[0], e.touches[1]) || 1;
       pinch.startLogZoom = logZoom;
@@ -47,6 +137,10 @@ export function startGame(levelId) {
     }
   }, { passive: false });
   renderer.domElement.addEventListener('touchmove', (e) => {
+    if (panDrag && e.touches.length === 1) {
+      movePan(e.touches[0].clientX, e.touches[0].clientY);
+      e.preventDefault();
+    }
     if (!pinch.active) return;
     if (e.touches.length !== 2) return;
     const dist = touchDist(e.touches[0], e.touches[1]);
@@ -56,19 +150,26 @@ export function startGame(levelId) {
     clampZoom();
     e.preventDefault();
   }, { passive: false });
-  renderer.domElement.addEventListener('touchend', () => { pinch.active = false; }, { passive: true });
-  renderer.domElement.addEventListener('touchcancel', () => { pinch.active = false; }, { passive: true });
+  const endTouch = () => {
+    pinch.active = false;
+    panDrag = null;
+  };
+  renderer.domElement.addEventListener('touchend', endTouch, { passive: true });
+  renderer.domElement.addEventListener('touchcancel', endTouch, { passive: true });
 
   // =========================================================
   // Starfield
   // =========================================================
 
+  // Seeded so every run (and every replay) shows the same sky.
+  const STAR_SEED = 1;
+  const starRandom = seededRandom(STAR_SEED);
   const starCount = 600;
   const starGeo = new THREE.BufferGeometry();
   const starPositions = new Float32Array(starCount * 3);
   for (let i = 0; i < starCount; i++) {
-    starPositions[i * 3] = (Math.random() - 0.5) * L.STAR_SPREAD;
-    starPositions[i * 3 + 1] = (Math.random() - 0.5) * L.STAR_SPREAD;
+    starPositions[i * 3] = (starRandom() - 0.5) * L.STAR_SPREAD;
+    starPositions[i * 3 + 1] = (starRandom() - 0.5) * L.STAR_SPREAD;
     starPositions[i * 3 + 2] = -1;
   }
   starGeo.setAttribute('position', new THREE.BufferAttribute(starPositions, 3));
@@ -97,73 +198,37 @@ export function startGame(levelId) {
   // =========================================================
 
   function createWorldLabel(color, text) {
-    const el = document.createElement('div');
-    el.style.cssText = `
-      position:fixed; pointer-events:none; z-index:11;
-      display:none;
-      font-family:'Courier New',monospace; font-size:12px;
-      color:${color}; text-shadow:0 0 4px #000;
-      transform:translate(-50%,-50%);
-      white-space:nowrap;
-    `;
-    el.textContent = text;
-    document.body.appendChild(el);
-    return el;
-  }
-
-  function makeOrbitLine(radius) {
-    const pts = [];
-    for (let i = 0; i <= 256; i++) {
-      const a = (i / 256) * Math.PI * 2;
-      pts.push(new THREE.Vector3(Math.cos(a) * radius, Math.sin(a) * radius, -0.5));
-    }
-    return new THREE.Line(
-      new THREE.BufferGeometry().setFromPoints(pts),
-      new THREE.LineBasicMaterial({ color: 0x334455, transparent: true, opacity: 0.35 })
-    );
+    return own(makeWorldLabel(color, text));
   }
 
-  // Defensive: allow older single-planet levels (or stale cached modules) that
-  // don't have L.PLANETS yet.
-  const planetSpecs = Array.isArray(L.PLANETS) ? L.PLANETS : [{
-    name: 'Earth',
-    color: 0x44aacc,
-    mass: L.PLANET_MASS ?? 10,
-    radius: L.PLANET_RADIUS ?? 10,
-    orbitalRadius: L.PLANET_ORBITAL_RADIUS ?? 300,
-    initialVelocity: L.PLANET_INITIAL_VELOCITY,
-    collisionRadius: L.PLANET_COLLISION_RADIUS,
-  }];
-
-  const planets = planetSpecs.map((p, idx) => {
-    scene.add(makeOrbitLine(p.orbitalRadius));
+  // Render-side objects for each simulated planet (same order as sim.planets).
+  // A moon's orbit line moves with its parent (see animate).
+  const planetViews = planets.map((p) => {
+    const orbitLine = makeOrbitLine(p.orbitalRadius, p.eccentricity, p.argPeriapsis);
+    scene.add(orbitLine);
     const mesh = new THREE.Mesh(
       new THREE.CircleGeometry(p.radius, 32),
       new THREE.MeshBasicMaterial({ color: p.color })
     );
+    const atmosphere = makeAtmosphere(p);
+    if (atmosphere) mesh.add(atmosphere);
+    const marks = makeSurfaceMarks(p);
+    if (marks) mesh.add(marks);
     scene.add(mesh);
-    const labelEl = createWorldLabel(
-      '#' + ((p.color ?? 0xffffff) >>> 0).toString(16).padStart(6, '0'),
-      p.name ?? `Planet ${idx + 1}`
-    );
-    // Start on +X axis, counterclockwise orbit.
-    const state = {
-      idx,
-      name: p.name,
-      color: p.color,
-      mass: p.mass,
-      radius: p.radius,
-      collisionRadius: p.collisionRadius ?? p.radius,
-      x: p.orbitalRadius,
-      y: 0,
-      vx: 0,
-      vy: p.initialVelocity ?? Math.sqrt(L.G * L.SUN_MASS / p.orbitalRadius),
-      mesh,
-      labelEl,
-    };
-    return state;
+    const labelEl = createWorldLabel(cssColor(p.color), p.name);
+    return { mesh, labelEl, orbitLine };
+  });
+
+  // =========================================================
+  // Stations
+  // =========================================================
+
+  // Same order as sim.stations.
+  const stationViews = stations.map((s) => {
+    const mesh = makeStation(s);
+    scene.add(mesh);
+    return { mesh, labelEl: createWorldLabel(cssColor(s.color), s.name) };
   });
-  const homePlanet = planets[0];
 
   // =========================================================
   // Rocket
@@ -235,29 +300,360 @@ export function startGame(levelId) {
   playerIndicator.position.z = 0.5;
   scene.add(playerIndicator);
 
-  // Rocket state
-  const orbitV = Math.sqrt(L.G * homePlanet.mass / L.ROCKET_PLANET_ORBIT_RADIUS);
-  const rocket = {
-    x: homePlanet.x + L.ROCKET_PLANET_ORBIT_RADIUS,
-    y: homePlanet.y,
-    vx: homePlanet.vx,
-    vy: homePlanet.vy + orbitV,
-    angle: Math.PI / 2,
-    thrusting: false,
-    alive: true,
-    landed: false,
-    landedAngle: 0, // angle on planet surface where landed
-    landedPlanetIdx: 0,
-  };
+  // Target markers around the rocket, same unit size as the player indicator
+  // but shown at every zoom: a ring toward the target, a cross away from it
+  // and a line for the velocity relative to it. Plus a ring on the target.
+  const TARGET_COLOR = 0xff66ff;
+  const TARGET_MARKER_DIST = 3.5;
+  const targetLineMat = new THREE.LineBasicMaterial({ color: TARGET_COLOR });
+  const targetMarker = new THREE.Mesh(
+    new THREE.RingGeometry(0.35, 0.55, 16),
+    new THREE.MeshBasicMaterial({ color: TARGET_COLOR })
+  );
+  const antiTargetMarker = new THREE.LineSegments(
+    new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(-0.4, -0.4, 0), new THREE.Vector3(0.4, 0.4, 0),
+      new THREE.Vector3(-0.4, 0.4, 0), new THREE.Vector3(0.4, -0.4, 0),
+    ]), targetLineMat
+  );
+  const relVelLine = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 1, 0)]),
+    targetLineMat
+  );
+  const targetIndicator = new THREE.Group();
+  targetIndicator.add(targetMarker, antiTargetMarker, relVelLine);
+  targetIndicator.visible = false;
+  targetIndicator.position.z = 0.5;
+  scene.add(targetIndicator);
+
+  const targetRing = new THREE.Mesh(
+    new THREE.RingGeometry(1.15, 1.3, 48),
+    new THREE.MeshBasicMaterial({ color: TARGET_COLOR, transparent: true, opacity: 0.7 })
+  );
+  targetRing.visible = false;
+  targetRing.position.z = 0.4;
+  scene.add(targetRing);
+
+  // =========================================================
+  // Predicted trajectory
+  // =========================================================
+
+  // Line and markers live in a group positioned at the frame body each frame,
+  // since predicted points are relative to it (see trajectory.js).
+  const TRAJ_MAX_POINTS = 1500;
+  const TRAJ_REFRESH = 0.25; // seconds (real time) between predictions
+  const trajGroup = new THREE.Group();
+  trajGroup.position.z = 0.3;
+  scene.add(trajGroup);
+
+  function makeTrajLine(color) {
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TRAJ_MAX_POINTS * 3), 3));
+    geo.setDrawRange(0, 0);
+    const line = new THREE.Line(geo,
+      new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.6 }));
+    line.frustumCulled = false;
+    trajGroup.add(line);
+    return line;
+  }
+
+  // Copy pts[from..to) into a line's buffer.
+  function setTrajLine(line, pts, from, to) {
+    const arr = line.geometry.attributes.position.array;
+    for (let i = from; i < to; i++) {
+      arr[(i - from) * 3] = pts[i].x;
+      arr[(i - from) * 3 + 1] = pts[i].y;
+      arr[(i - from) * 3 + 2] = 0;
+    }
+    line.geometry.setDrawRange(0, Math.max(0, to - from));
+    line.geometry.attributes.position.needsUpdate = true;
+  }
+
+  // Coasting path, and the path after a planned maneuver node.
+  const trajLine = makeTrajLine(0x66ff99);
+  const trajAfterLine = makeTrajLine(0xffaa33);
+
+  // Unit-size ring markers, scaled with zoom like the player indicator.
+  function makeMarker(color) {
+    const m = new THREE.Mesh(
+      new THREE.RingGeometry(0.7, 1, 24),
+      new THREE.MeshBasicMaterial({ color })
+    );
+    m.visible = false;
+    trajGroup.add(m);
+    return m;
+  }
+
+  const impactMarker = makeMarker(0xff3333);
+  const nodeMarker = makeMarker(0xffdd33);
+  const impactLabel = createWorldLabel('#ff5555', '');
+  const approachMarkers = planets.map((p) => ({
+    mesh: makeMarker(p.color),
+    labelEl: createWorldLabel(cssColor(p.color), ''),
+  }));
+  const targetApproachMarker = makeMarker(TARGET_COLOR);
+  const targetApproachLabel = createWorldLabel(cssColor(TARGET_COLOR), '');
+
+  let showTrajectory = true;
+  let trajectory = null;
+  let trajAge = Infinity;
+  let trajStep = -1; // sim.stepCount the prediction was made at
+
+  function refreshTrajectory() {
+    trajectory = showTrajectory || maneuverNode
+      ? predictTrajectory(sim, { maxPoints: TRAJ_MAX_POINTS, maneuver: maneuverNode, target: currentTarget() })
+      : null;
+    trajAge = 0;
+    trajStep = sim.stepCount;
+
+    const pts = trajectory?.points ?? [];
+    const burn = trajectory?.burn;
+    const split = burn ? burn.index + 1 : pts.length;
+    setTrajLine(trajLine, pts, 0, split);
+    setTrajLine(trajAfterLine, pts, burn ? burn.index : 0, burn ? pts.length : 0);
+
+    nodeMarker.visible = !!burn;
+    if (burn) {
+      nodeMarker.position.set(burn.x, burn.y, 0);
+      // Remember the burn direction; it stays valid once the node is behind us.
+      maneuverNode.dvx = burn.dvx;
+      maneuverNode.dvy = burn.dvy;
+      maneuverNode.axes = { prograde: burn.prograde, radialOut: burn.radialOut };
+    }
+
+    const impact = trajectory?.impact;
+    impactMarker.visible = !!impact;
+    if (impact) {
+      impactMarker.position.set(impact.x, impact.y, 0);
+      const what = impact.planet ? impact.planet.name : 'Sun';
+      const kind = impact.landed ? (impact.outcome === 'hard' ? 'Hard touchdown' : 'Touchdown')
+        : impact.body === 'heat' ? 'Burn-up' : 'Impact';
+      impactLabel.textContent = `${kind} ${what} T-${impact.t.toFixed(1)}s`;
+    }
+
+    for (const m of approachMarkers) m.mesh.visible = false;
+    for (const a of trajectory?.approaches ?? []) {
+      const m = approachMarkers[a.planet.idx];
+      m.mesh.visible = true;
+      m.mesh.position.set(a.x, a.y, 0);
+      m.labelEl.textContent = `${a.planet.name} CA ${a.distance.toFixed(1)} T-${a.t.toFixed(1)}s`;
+    }
+
+    // Not on the target itself (the path starts there) or at the very end.
+    const ta = trajectory?.targetApproach;
+    targetApproachMarker.visible = !!ta && ta.t > 0 && ta.t < pts[pts.length - 1].t;
+    if (ta) {
+      targetApproachMarker.position.set(ta.x, ta.y, 0);
+      targetApproachLabel.textContent = `Target CA ${ta.distance.toFixed(1)} T-${ta.t.toFixed(1)}s`;
+    }
+  }
+
+  // =========================================================
+  // Maneuver node
+  // =========================================================
+
+  // Planned burn { t, prograde, radial } (see maneuver.js), plus the inertial
+  // dvx/dvy and screen axes filled in from the latest prediction.
+  let maneuverNode = null;
+  // Dragging a handle by 100px changes its component by this much; quadratic
+  // so small drags allow fine adjustments.
+  const NODE_DV_UNIT = 0.1 * L.PLANET_INITIAL_VELOCITY;
+  const NODE_PICK_PX = 12;
+  const TARGET_PICK_PX = 12; // slop around a body's disc for clicking it
+
+  // Target id of the body at a screen point and how far outside its disc
+  // that is in pixels, or null.
+  function pickTarget(clientX, clientY) {
+    const pxPerUnit = window.innerHeight * zoom / L.FRUSTUM_SIZE;
+    const v = new THREE.Vector3();
+    let best = null;
+    for (const id of targetIds(planets, stations)) {
+      const body = targetBody(L, planets, id, stations);
+      v.set(body.x, body.y, 0).project(camera);
+      const sx = (v.x * 0.5 + 0.5) * window.innerWidth;
+      const sy = (-v.y * 0.5 + 0.5) * window.innerHeight;
+      const dist = Math.max(0, Math.hypot(sx - clientX, sy - clientY) - body.radius * pxPerUnit);
+      if (dist < TARGET_PICK_PX && (!best || dist < best.dist)) best = { id, dist };
+    }
+    return best;
+  }
+
+  function setManeuverNode(next) {
+    maneuverNode = next;
+    trajStep = -1;
+  }
+
+  // DOM handles around the node, dragged along their axis on screen.
+  const nodeHandles = [
+    { axis: 'prograde', sign: 1, label: '+P', color: '#ffdd33' },
+    { axis: 'prograde', sign: -1, label: '-P', color: '#ffdd33' },
+    { axis: 'radial', sign: 1, label: '+R', color: '#33ccff' },
+    { axis: 'radial', sign: -1, label: '-R', color: '#33ccff' },
+  ].map((h) => {
+    const el = document.createElement('div');
+    el.style.cssText = `
+      position:fixed; z-index:12; display:none;
+      width:22px; height:22px; border-radius:50%;
+      border:1px solid ${h.color}; background:rgba(0,0,0,0.6);
+      color:${h.color}; font-family:'Courier New',monospace; font-size:10px;
+      align-items:center; justify-content:center;
+      transform:translate(-50%,-50%); cursor:grab; touch-action:none;
+      user-select:none; -webkit-user-select:none;
+    `;
+    el.textContent = h.label;
+    own(el);
+    return { ...h, el };
+  });
+
+  const nodeDelete = document.createElement('div');
+  nodeDelete.style.cssText = `
+    position:fixed; z-index:12; display:none;
+    font-family:'Courier New',monospace; font-size:14px; color:#ff5555;
+    transform:translate(-50%,-50%); cursor:pointer; text-shadow:0 0 4px #000;
+    user-select:none; -webkit-user-select:none;
+  `;
+  nodeDelete.textContent = 'x';
+  nodeDelete.addEventListener('click', (e) => {
+    e.stopPropagation();
+    setManeuverNode(null);
+  });
+  own(nodeDelete);
+
+  // Screen-space unit vector for a world direction (screen Y points down,
+  // and the co-rotating frame turns the view).
+  function screenDir(v) {
+    const c = Math.cos(camera.rotation.z);
+    const s = Math.sin(camera.rotation.z);
+    return { x: v.x * c + v.y * s, y: v.x * s - v.y * c };
+  }
+
+  for (const h of nodeHandles) {
+    const begin = (clientX, clientY) => {
+      if (!maneuverNode?.axes) return null;
+      const unit = maneuverNode.axes[h.axis === 'prograde' ? 'prograde' : 'radialOut'];
+      return { x: clientX, y: clientY, value: maneuverNode[h.axis], dir: screenDir(unit) };
+    };
+    const move = (drag, clientX, clientY) => {
+      // Pixels dragged outward along this handle's direction.
+      const along = ((clientX - drag.x) * drag.dir.x + (clientY - drag.y) * drag.dir.y) * h.sign;
+      const delta = Math.sign(along) * (along / 100) ** 2 * NODE_DV_UNIT;
+      maneuverNode[h.axis] = drag.value + h.sign * delta;
+      trajStep = -1;
+    };
+    h.el.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const drag = begin(e.clientX, e.clientY);
+      if (!drag) return;
+      const onMove = (ev) => move(drag, ev.clientX, ev.clientY);
+      const onUp = () => {
+        window.removeEventListener('mousemove', onMove);
+        window.removeEventListener('mouseup', onUp);
+      };
+      window.addEventListener('mousemove', onMove, { signal });
+      window.addEventListener('mouseup', onUp, { signal });
+    });
+    h.el.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const t = e.touches[0];
+      h.drag = begin(t.clientX, t.clientY);
+    }, { passive: false });
+    h.el.addEventListener('touchmove', (e) => {
+      e.preventDefault();
+      const t = e.touches[0];
+      if (h.drag) move(h.drag, t.clientX, t.clientY);
+    }, { passive: false });
+    h.el.addEventListener('touchend', () => { h.drag = null; });
+    h.el.addEventListener('touchcancel', () => { h.drag = null; });
+  }
+
+  // Click (or tap) on the predicted path places the node there, keeping any
+  // delta-v already dialled in.
+  renderer.domElement.addEventListener('click', (e) => {
+    // The end of a pan drag.
+    if (panDrag?.moved) {
+      panDrag = null;
+      return;
+    }
+    // A body under the pointer becomes the target, unless the path is closer.
+    const picked = pickTarget(e.clientX, e.clientY);
+    const pts = trajectory?.points;
+    if (!pts) {
+      if (picked) setTarget(picked.id);
+      return;
+    }
+    const ox = trajGroup.position.x;
+    const oy = trajGroup.position.y;
+    // Only the coasting part: the node can't be placed on its own result.
+    const end = trajectory.burn ? trajectory.burn.index + 1 : pts.length;
+    let best = null;
+    let bestDist = NODE_PICK_PX;
+    const v = new THREE.Vector3();
+    for (let i = 1; i < end; i++) {
+      v.set(ox + pts[i].x, oy + pts[i].y, 0).project(camera);
+      const sx = (v.x * 0.5 + 0.5) * window.innerWidth;
+      const sy = (-v.y * 0.5 + 0.5) * window.innerHeight;
+      const d = Math.hypot(sx - e.clientX, sy - e.clientY);
+      if (d < bestDist) { best = pts[i]; bestDist = d; }
+    }
+    if (picked && !(best && bestDist < picked.dist)) {
+      setTarget(picked.id);
+      return;
+    }
+    if (!best) return;
+    setManeuverNode({
+      t: sim.time + best.t,
+      prograde: maneuverNode?.prograde ?? 0,
+      radial: maneuverNode?.radial ?? 0,
+    });
+  });
+
+  function placeNodeHandles(show) {
+    nodeDelete.style.display = 'none';
+    for (const h of nodeHandles) h.el.style.display = 'none';
+    if (!show) return;
+    const v = new THREE.Vector3(
+      trajGroup.position.x + nodeMarker.position.x,
+      trajGroup.position.y + nodeMarker.position.y, 0
+    ).project(camera);
+    const sx = (v.x * 0.5 + 0.5) * window.innerWidth;
+    const sy = (-v.y * 0.5 + 0.5) * window.innerHeight;
+    for (const h of nodeHandles) {
+      const d = screenDir(maneuverNode.axes[h.axis === 'prograde' ? 'prograde' : 'radialOut']);
+      h.el.style.display = 'flex';
+      h.el.style.left = (sx + d.x * h.sign * 34) + 'px';
+      h.el.style.top = (sy + d.y * h.sign * 34) + 'px';
+    }
+    nodeDelete.style.display = 'block';
+    nodeDelete.style.left = (sx + 22) + 'px';
+    nodeDelete.style.top = (sy - 22) + 'px';
+  }
+
+  // Burn direction marker around the rocket: where to point for the node.
+  const burnShape = new THREE.Shape();
+  burnShape.moveTo(0, 4.2);
+  burnShape.lineTo(-0.7, 3.2);
+  burnShape.lineTo(0, 2.8);
+  burnShape.lineTo(0.7, 3.2);
+  burnShape.closePath();
+  const burnMarker = new THREE.Mesh(
+    new THREE.ShapeGeometry(burnShape),
+    new THREE.MeshBasicMaterial({ color: 0xffdd33 })
+  );
+  burnMarker.visible = false;
+  burnMarker.position.z = 0.6;
+  scene.add(burnMarker);
 
   // =========================================================
   // Off-screen indicators
   // =========================================================
 
-  function createIndicator(color, label) {
+  // Clicking one targets what it points at.
+  function createIndicator(color, label, onClick) {
     const el = document.createElement('div');
     el.style.cssText = `
-      position:fixed; pointer-events:none; z-index:10;
+      position:fixed; pointer-events:auto; cursor:pointer; z-index:10;
       display:none; align-items:center; gap:4px;
       font-family:'Courier New',monospace; font-size:12px;
       color:${color}; text-shadow:0 0 4px #000;
@@ -274,14 +670,15 @@ export function startGame(levelId) {
     const text = document.createElement('span');
     text.textContent = label;
     el.appendChild(text);
-    document.body.appendChild(el);
+    el.addEventListener('click', onClick, { signal });
+    own(el);
     return { el, arrow };
   }
 
-  const sunIndicator = createIndicator('#ffcc00', 'Sun');
-  const planetIndicators = planets.map((p) => createIndicator(
-    '#' + (p.color >>> 0).toString(16).padStart(6, '0'),
-    p.name
+  const sunIndicator = createIndicator('#ffcc00', 'Sun', () => setTarget('sun'));
+  const planetIndicators = planets.map((p) => createIndicator(cssColor(p.color), p.name, () => setTarget(p.idx)));
+  const stationIndicators = stations.map((s) => (
+    createIndicator(cssColor(s.color), s.name, () => setTarget(stationTargetId(s.idx)))
   ));
 
   function updateIndicator(indicator, worldX, worldY) {
@@ -289,8 +686,13 @@ export function startGame(levelId) {
     const halfW = effectiveSize * aspect / 2;
     const halfH = effectiveSize / 2;
 
-    const relX = worldX - camera.position.x;
-    const relY = worldY - camera.position.y;
+    // Offset in screen axes.
+    const c = Math.cos(camera.rotation.z);
+    const s = Math.sin(camera.rotation.z);
+    const dx = worldX - camera.position.x;
+    const dy = worldY - camera.position.y;
+    const relX = dx * c + dy * s;
+    const relY = dy * c - dx * s;
 
     if (Math.abs(relX) < halfW * 0.9 && Math.abs(relY) < halfH * 0.9) {
       indicator.el.style.display = 'none';
@@ -325,42 +727,254 @@ export function startGame(levelId) {
   // Input
   // =========================================================
 
-  const keys = { forward: false, left: false, right: false };
+  // Actions (see controls.js) held on the keyboard or the touch buttons, the
+  // latest gamepad reading (polled every frame) and what to do the moment an
+  // action is pressed.
+  const actionsDown = new Set();
+  let pad = NO_PAD;
+  const pressHandlers = {};
+  const onPress = (action, fn) => { (pressHandlers[action] ??= []).push(fn); };
+  const held = (action) => actionsDown.has(action) || pad.held.has(action);
+  function press(action) {
+    for (const fn of pressHandlers[action] ?? []) fn();
+  }
+
+  // Throttle (0..1) and heading (radians) set through the api or by a
+  // script (see scripting.js); null leaves them to the pilot.
+  const control = { throttle: null, heading: null };
+
+  // Keys give full throttle and rotation; the gamepad's analog ones fill in.
+  // A controlled heading steers like SAS (manual rotation still wins), as
+  // rotate input rounded like the gamepad's so replays stay small.
+  function currentInput() {
+    const rotate = (held('rotateLeft') ? 1 : 0) - (held('rotateRight') ? 1 : 0) || pad.rotate;
+    const steering = !rotate && control.heading !== null;
+    return {
+      thrust: Math.max(held('thrust') ? 1 : 0, pad.throttle, control.throttle ?? 0),
+      rotate: steering ? Math.round(sasRotate(L, rocket, control.heading, FIXED_DT) * 100) / 100 || 0 : rotate,
+      sas: steering ? null : sasMode,
+      sasTarget: target,
+    };
+  }
 
   window.addEventListener('keydown', (e) => {
-    if (e.code === 'KeyW' || e.code === 'ArrowUp') keys.forward = true;
-    if (e.code === 'KeyA' || e.code === 'ArrowLeft') keys.left = true;
-    if (e.code === 'KeyD' || e.code === 'ArrowRight') keys.right = true;
-  });
+    for (const action of keyActions(e.code)) {
+      e.preventDefault();
+      actionsDown.add(action);
+      if (!e.repeat) press(action);
+    }
+  }, { signal });
   window.addEventListener('keyup', (e) => {
-    if (e.code === 'KeyW' || e.code === 'ArrowUp') keys.forward = false;
-    if (e.code === 'KeyA' || e.code === 'ArrowLeft') keys.left = false;
-    if (e.code === 'KeyD' || e.code === 'ArrowRight') keys.right = false;
+    for (const action of keyActions(e.code)) actionsDown.delete(action);
+  }, { signal });
+
+  onPress('deleteNode', () => {
+    if (maneuverNode) setManeuverNode(null);
   });
 
+  // Buttons only report being down; presses are the changes between polls.
+  function pollGamepad() {
+    const before = pad.held;
+    pad = readGamepad();
+    for (const action of pad.held) {
+      if (!before.has(action)) press(action);
+    }
+  }
+
   window.addEventListener('wheel', (e) => {
     // Logarithmic scaling: wheel deltas apply in log space, then exponentiate.
     // This makes zoom feel consistent over huge ranges.
     const ZOOM_SENS = 0.0015;
     logZoom += -e.deltaY * ZOOM_SENS;
     clampZoom();
-  });
+  }, { signal });
 
-  function setupTouchButton(id, key) {
+  function setupTouchButton(id, action) {
     const btn = document.getElementById(id);
     if (!btn) return;
-    const start = () => { keys[key] = true; };
-    const end = () => { keys[key] = false; };
-    btn.addEventListener('mousedown', start);
-    btn.addEventListener('mouseup', end);
-    btn.addEventListener('mouseleave', end);
-    btn.addEventListener('touchstart', (e) => { e.preventDefault(); start(); });
-    btn.addEventListener('touchend', (e) => { e.preventDefault(); end(); });
-    btn.addEventListener('touchcancel', (e) => { e.preventDefault(); end(); });
+    const start = () => { actionsDown.add(action); };
+    const end = () => { actionsDown.delete(action); };
+    btn.addEventListener('mousedown', start, { signal });
+    btn.addEventListener('mouseup', end, { signal });
+    btn.addEventListener('mouseleave', end, { signal });
+    btn.addEventListener('touchstart', (e) => { e.preventDefault(); start(); }, { signal });
+    btn.addEventListener('touchend', (e) => { e.preventDefault(); end(); }, { signal });
+    btn.addEventListener('touchcancel', (e) => { e.preventDefault(); end(); }, { signal });
+  }
+  setupTouchButton('btn-left', 'rotateLeft');
+  setupTouchButton('btn-thrust', 'thrust');
+  setupTouchButton('btn-right', 'rotateRight');
+
+  // =========================================================
+  // Autopilot (SAS)
+  // =========================================================
+
+  // Mode ids from SAS_MODES (null = off) and the target id (see targets.js)
+  // the target modes point at; both are fed to sim.step() with the rest of
+  // the input. The target also drives the target HUD and markers.
+  let sasMode = null;
+  let target = null;
+  const sasEl = document.getElementById('sas');
+  const hudSas = document.getElementById('hud-sas');
+
+  function setSas(mode) {
+    // Choosing the active mode again switches SAS off.
+    sasMode = mode === sasMode ? null : mode;
+    for (const b of sasEl?.querySelectorAll('[data-sas]') ?? []) {
+      b.classList.toggle('active', b.dataset.sas === sasMode);
+    }
+  }
+
+  function setTarget(id) {
+    target = id;
+    trajStep = -1; // closest approach to the new target
+  }
+
+  // Sun, each planet, each station, then no target.
+  function cycleTarget() {
+    const ids = [...targetIds(planets, stations), null];
+    setTarget(ids[(ids.indexOf(target) + 1) % ids.length]);
+  }
+
+  // Replays show the recorded target.
+  const currentTarget = () => (player ? player.input().sasTarget : target);
+
+  for (const mode of Object.keys(SAS_MODES)) onPress(sasAction(mode), () => setSas(mode));
+  onPress('sasOff', () => setSas(null));
+  onPress('target', cycleTarget);
+
+  for (const b of sasEl?.querySelectorAll('[data-sas]') ?? []) {
+    b.addEventListener('click', () => setSas(b.dataset.sas), { signal });
+  }
+  document.getElementById('sas-target')?.addEventListener('click', cycleTarget, { signal });
+
+  // Replays show the recorded autopilot state.
+  function updateSasHud() {
+    if (!hudSas) return;
+    if (!player && control.heading !== null) {
+      const deg = ((control.heading * 180 / Math.PI) % 360 + 360) % 360;
+      hudSas.textContent = `SAS: heading ${deg.toFixed(0)} deg`;
+      return;
+    }
+    const { sas } = player ? player.input() : currentInput();
+    hudSas.textContent = `SAS: ${sas ? SAS_MODES[sas] : 'off'}`;
+  }
+
+  // =========================================================
+  // Target readout
+  // =========================================================
+
+  const hudTarget = document.getElementById('hud-target');
+  const hudTargetMotion = document.getElementById('hud-target-motion');
+
+  // Distance, closing speed and relative velocity to the target, and its
+  // markers; hidden without a target (or a rocket). targetAt(id) is where a
+  // target is drawn this frame.
+  function updateTarget(rocketRX, rocketRY, targetAt, effectiveSize) {
+    const id = currentTarget();
+    const body = targetBody(L, planets, id, stations);
+    targetRing.visible = !!body;
+    targetIndicator.visible = !!body && rocket.alive;
+    if (hudTarget) hudTarget.textContent = body ? `Target: ${body.name}` : '';
+    if (hudTargetMotion) hudTargetMotion.textContent = '';
+    if (!body) return;
+
+    const [bx, by] = targetAt(id);
+    targetRing.position.set(bx, by, 0.4);
+    const ringSize = Math.max(body.radius, effectiveSize * 0.01);
+    targetRing.scale.set(ringSize, ringSize, 1);
+    if (!rocket.alive) return;
+
+    const m = relativeMotion(rocket, body);
+    if (hudTarget) {
+      hudTarget.textContent = `Target: ${body.name}  Dist: ${fmtDist(m.distance)}  Closing: ${m.closingSpeed.toFixed(1)}`;
+    }
+    if (hudTargetMotion) {
+      const ta = trajectory?.targetApproach;
+      const ca = ta ? `  CA: ${fmtDist(ta.distance)} T-${fmtTime(ta.t)} at ${ta.speed.toFixed(1)}` : '';
+      hudTargetMotion.textContent = `Rel. vel: ${m.speed.toFixed(1)} (lateral ${m.lateral.toFixed(1)})${ca}`;
+    }
+
+    const s = effectiveSize * 0.015;
+    targetIndicator.position.set(rocketRX, rocketRY, 0.5);
+    targetIndicator.scale.set(s, s, 1);
+    const a = Math.atan2(by - rocketRY, bx - rocketRX);
+    targetMarker.position.set(Math.cos(a) * TARGET_MARKER_DIST, Math.sin(a) * TARGET_MARKER_DIST, 0);
+    antiTargetMarker.position.set(-Math.cos(a) * TARGET_MARKER_DIST, -Math.sin(a) * TARGET_MARKER_DIST, 0);
+    // Same length scale as the player indicator's velocity line.
+    relVelLine.rotation.z = Math.atan2(m.vy, m.vx) - Math.PI / 2;
+    relVelLine.scale.y = Math.max(1e-3, Math.min(m.speed / (L.PLANET_INITIAL_VELOCITY * 0.5) * 3, 8));
+  }
+
+  // =========================================================
+  // Camera focus & co-rotating frame
+  // =========================================================
+
+  const hudCamera = document.getElementById('hud-camera');
+  const FOCUS_ORDER = ['rocket', 'sun', ...planets.map(p => p.idx)];
+  const focusName = (f) => (f === 'rocket' ? 'Rocket' : f === 'sun' ? 'Sun' : planets[f].name);
+
+  // Next focus in FOCUS_ORDER, back on it (pan dropped).
+  function cycleFocus() {
+    view.focus = FOCUS_ORDER[(FOCUS_ORDER.indexOf(view.focus) + 1) % FOCUS_ORDER.length];
+    view.panX = 0;
+    view.panY = 0;
+  }
+
+  // Angle of a planet around its parent (or the sun) at render positions.
+  function orbitAngle(idx, xs, ys) {
+    const { parent } = planets[idx];
+    return Math.atan2(ys[idx] - (parent ? ys[parent.idx] : 0), xs[idx] - (parent ? xs[parent.idx] : 0));
+  }
+
+  // Co-rotating frame of planet `idx` (null: none); the view starts out
+  // unturned.
+  function setFrame(idx) {
+    view.frame = idx;
+    if (idx !== null) view.frameAngle0 = orbitAngle(idx, planets.map(p => p.x), planets.map(p => p.y));
+  }
+
+  // Off, or on for the focused planet, else the SAS target, else home.
+  function toggleFrame() {
+    const planetTarget = typeof target === 'number' ? target : null;
+    setFrame(view.frame !== null ? null : typeof view.focus === 'number' ? view.focus : planetTarget ?? homePlanet.idx);
+  }
+
+  onPress('cameraFocus', cycleFocus);
+  onPress('cameraFrame', toggleFrame);
+  document.getElementById('cam-focus')?.addEventListener('click', cycleFocus, { signal });
+  document.getElementById('cam-frame')?.addEventListener('click', toggleFrame, { signal });
+
+  // Camera target and rotation for this frame's render positions.
+  function placeCamera(xs, ys, rocketX, rocketY, frameDt) {
+    let fx = 0;
+    let fy = 0;
+    if (view.focus === 'rocket') {
+      fx = rocket.alive ? rocketX : xs[homePlanet.idx];
+      fy = rocket.alive ? rocketY : ys[homePlanet.idx];
+    } else if (view.focus !== 'sun') {
+      fx = xs[view.focus];
+      fy = ys[view.focus];
+    }
+    const angle = view.frame === null ? 0 : orbitAngle(view.frame, xs, ys) - view.frameAngle0;
+    camera.rotation.z = angle;
+    // Pan is along the (turned) screen axes.
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    const tx = fx + view.panX * c - view.panY * s;
+    const ty = fy + view.panX * s + view.panY * c;
+    // Frame-rate independent smoothing; a drag follows the pointer directly.
+    const follow = panDrag?.moved ? 1 : 1 - Math.exp(-12 * frameDt);
+    camera.position.x += (tx - camera.position.x) * follow;
+    camera.position.y += (ty - camera.position.y) * follow;
+
+    if (hudCamera) {
+      const panned = view.panX || view.panY ? ' (panned)' : '';
+      const frame = view.frame === null ? '' : `  Rotating with ${planets[view.frame].name}`;
+      hudCamera.textContent = view.focus === 'rocket' && !panned && !frame
+        ? '' : `Camera: ${focusName(view.focus)}${panned}${frame}`;
+    }
   }
-  setupTouchButton('btn-left', 'left');
-  setupTouchButton('btn-thrust', 'forward');
-  setupTouchButton('btn-right', 'right');
 
   // =========================================================
   // HUD
@@ -368,45 +982,258 @@ export function startGame(levelId) {
 
   const hudSpeed = document.getElementById('hud-speed');
   const hudPos = document.getElementById('hud-pos');
+  const hudBody = document.getElementById('hud-body');
+  const hudApsides = document.getElementById('hud-apsides');
+  const hudShape = document.getElementById('hud-shape');
+  const hudApsisTime = document.getElementById('hud-apsis-time');
+  const hudFuel = document.getElementById('hud-fuel');
+  const hudAir = document.getElementById('hud-air');
+  const hudTouchdown = document.getElementById('hud-touchdown');
+  const hudManeuver = document.getElementById('hud-maneuver');
+
+  const fmtDist = (d) => (Number.isFinite(d) ? d.toFixed(1) : '---');
+  const fmtDeg = (a) => `${(a * 180 / Math.PI).toFixed(0)} deg`;
+  function fmtTime(s) {
+    if (s == null || !Number.isFinite(s)) return '---';
+    if (s < 60) return `${s.toFixed(1)}s`;
+    const m = Math.floor(s / 60);
+    if (m < 60) return `${m}m ${Math.floor(s % 60)}s`;
+    return `${Math.floor(m / 60)}h ${m % 60}m`;
+  }
+
+  // Node countdown, burn time and the pointing marker at the rocket.
+  function updateManeuverHud(rocketRX, rocketRY, effectiveSize) {
+    const node = maneuverNode;
+    const dv = node && node.dvx !== undefined ? Math.hypot(node.dvx, node.dvy) : 0;
+    const show = !!node && rocket.alive && node.dvx !== undefined;
+    burnMarker.visible = show && dv > 0;
+    if (hudManeuver) hudManeuver.style.display = node ? 'block' : 'none';
+    if (!node) return;
+
+    const duration = burnTime(L, rocket.mass, rocket.fuel, dv);
+    // Start half the burn early so it's centered on the node.
+    const toStart = node.t - sim.time - (Number.isFinite(duration) ? duration / 2 : 0);
+    if (hudManeuver) {
+      const when = toStart >= 0 ? `T-${fmtTime(toStart)}` : `T+${fmtTime(-toStart)}`;
+      const burnText = Number.isFinite(duration) ? `Burn ${duration.toFixed(1)}s` : 'Not enough fuel';
+      hudManeuver.textContent =
+        `Node: dV ${dv.toFixed(1)} (P ${node.prograde.toFixed(1)}, R ${node.radial.toFixed(1)})  ${burnText}  ${when}`;
+    }
+
+    if (burnMarker.visible) {
+      const s = effectiveSize * 0.015;
+      burnMarker.scale.set(s, s, 1);
+      burnMarker.position.x = rocketRX;
+      burnMarker.position.y = rocketRY;
+      burnMarker.rotation.z = Math.atan2(node.dvy, node.dvx) - Math.PI / 2;
+    }
+  }
+
+  // Orbit readout relative to the body whose sphere of influence we're in.
+  // `o` is rocketOrbit() output, or null while landed or destroyed.
+  function updateOrbitHud(o) {
+    const lines = [hudBody, hudApsides, hudShape, hudApsisTime];
+    for (const el of lines) if (el) el.style.display = o ? 'block' : 'none';
+    if (!o) return;
+
+    // Apsides are shown as altitudes above the body's surface.
+    const surface = o.body ? o.body.radius : L.SUN_RADIUS;
+    if (hudBody) hudBody.textContent = `Orbiting: ${o.name}  Alt: ${o.altitude.toFixed(1)}`;
+    if (hudApsides) {
+      hudApsides.textContent = `Ap: ${fmtDist(o.apoapsis - surface)}  Pe: ${fmtDist(o.periapsis - surface)}`;
+    }
+    if (hudShape) {
+      hudShape.textContent = `Ecc: ${o.e.toFixed(3)}  Period: ${o.bound ? fmtTime(o.period) : 'escape'}`;
+    }
+    if (hudApsisTime) {
+      hudApsisTime.textContent = `T-Ap: ${fmtTime(o.timeToApoapsis)}  T-Pe: ${fmtTime(o.timeToPeriapsis)}`;
+    }
+  }
 
   // =========================================================
   // Respawn
   // =========================================================
 
-  function respawnRocket() {
-    const v = Math.sqrt(L.G * homePlanet.mass / L.ROCKET_PLANET_ORBIT_RADIUS);
-    rocket.x = homePlanet.x + L.ROCKET_PLANET_ORBIT_RADIUS;
-    rocket.y = homePlanet.y;
-    rocket.vx = homePlanet.vx;
-    rocket.vy = homePlanet.vy + v;
-    rocket.angle = Math.PI / 2;
-    rocket.thrusting = false;
-    rocket.alive = true;
-    rocket.landed = false;
-    rocketMesh.visible = true;
+  // The last crash: { cause, planet, impact } (see simulation.js).
+  let crash = null;
+  sim.on('crashed', (detail) => {
+    crash = detail;
+    rocketMesh.visible = false;
+  });
+  function crashText() {
+    if (crash?.cause === 'heat') return 'BURNED UP';
+    if (!crash?.impact) return 'DESTROYED';
+    const { impact, planet } = crash;
+    if (planet && impact.limit === 'tilt') {
+      return `DESTROYED - tipped over on ${planet.name} (${fmtDeg(impact.tilt)} off upright)`;
+    }
+    if (planet && impact.limit === 'side') {
+      return `DESTROYED - slid into ${planet.name} at ${impact.sideSpeed.toFixed(1)} sideways`;
+    }
+    return `DESTROYED - hit ${planet ? planet.name : 'the Sun'} at ${impact.relSpeed.toFixed(1)}`;
   }
+  sim.on('respawned', () => { rocketMesh.visible = true; });
 
-  window.addEventListener('keydown', (e) => {
-    if (e.code === 'KeyR' && !rocket.alive) respawnRocket();
+  // =========================================================
+  // Touchdown
+  // =========================================================
+
+  // Sim seconds the touchdown report stays up, and debris flies.
+  const TOUCHDOWN_REPORT_TIME = 6;
+  const DEBRIS_TIME = 3;
+
+  // The last touchdown on a planet: { planet, impact } (see touchdown in
+  // simulation.js), landed or not.
+  let lastTouchdown = null;
+  sim.on('landed', ({ planet, impact }) => {
+    lastTouchdown = { planet, impact };
+    if (impact.outcome === 'hard') spawnDebris(planet, impact, 10);
+  });
+  sim.on('crashed', ({ planet, impact }) => {
+    if (!planet || !impact) return;
+    lastTouchdown = { planet, impact };
+    spawnDebris(planet, impact, 40);
+  });
+  sim.on('respawned', () => { lastTouchdown = null; });
+
+  function updateTouchdownHud() {
+    if (!hudTouchdown) return;
+    if (!lastTouchdown || sim.time - lastTouchdown.impact.time > TOUCHDOWN_REPORT_TIME) {
+      hudTouchdown.textContent = '';
+      return;
+    }
+    const { impact } = lastTouchdown;
+    const outcome = { safe: 'Safe landing', hard: 'HARD LANDING', crash: 'CRASH' }[impact.outcome];
+    hudTouchdown.textContent = `${outcome}: down ${impact.verticalSpeed.toFixed(1)}`
+      + `  side ${impact.sideSpeed.toFixed(1)}  tilt ${fmtDeg(impact.tilt)}`;
+    hudTouchdown.style.color = impact.outcome === 'safe' ? '#66dd88' : impact.outcome === 'hard' ? '#ffaa44' : '#ff5555';
+  }
+
+  // Bits thrown up from the touchdown point, in the frame of the planet
+  // mesh so they turn with the surface. Only for show, aged in sim time so
+  // they freeze with the game; seeded by the step and planet so a replay
+  // throws the same spray.
+  const debris = [];
+
+  function spawnDebris(planet, impact, count) {
+    const positions = new Float32Array(count * 3);
+    const points = new THREE.Points(
+      new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(positions, 3)),
+      new THREE.PointsMaterial({ color: 0xbbaa99, size: 3, sizeAttenuation: false, transparent: true }),
+    );
+    planetViews[planet.idx].mesh.add(points);
+    const r = planet.radius + L.ROCKET_SIZE * 0.5;
+    const gravity = L.G * planet.mass / (r * r);
+    const speed = Math.max(impact.relSpeed, Math.sqrt(gravity * L.ROCKET_SIZE) * 4);
+    const random = seededRandom(sim.stepCount * 31 + planet.idx);
+    const pieces = [];
+    for (let i = 0; i < count; i++) {
+      // Up and out in a fan around the surface normal.
+      const a = impact.longitude + (random() - 0.5) * 2.4;
+      const v = speed * (0.1 + random() * 0.3);
+      pieces.push({
+        x: Math.cos(impact.longitude) * r,
+        y: Math.sin(impact.longitude) * r,
+        vx: Math.cos(a) * v,
+        vy: Math.sin(a) * v,
+      });
+    }
+    debris.push({ planet, points, pieces, gravity, bornAt: sim.time, lastTime: sim.time });
+  }
+
+  function updateDebris() {
+    for (let i = debris.length - 1; i >= 0; i--) {
+      const d = debris[i];
+      const age = sim.time - d.bornAt;
+      if (age > DEBRIS_TIME || age < 0) {
+        d.points.parent?.remove(d.points);
+        d.points.geometry.dispose();
+        d.points.material.dispose();
+        debris.splice(i, 1);
+        continue;
+      }
+      const dt = sim.time - d.lastTime;
+      d.lastTime = sim.time;
+      const r = d.planet.radius;
+      const positions = d.points.geometry.attributes.position.array;
+      d.pieces.forEach((p, j) => {
+        const dist = Math.hypot(p.x, p.y);
+        if (dist > r) {
+          p.vx -= d.gravity * p.x / dist * dt;
+          p.vy -= d.gravity * p.y / dist * dt;
+          p.x += p.vx * dt;
+          p.y += p.vy * dt;
+        }
+        // Come to rest on the ground.
+        const h = Math.hypot(p.x, p.y);
+        if (h < r) {
+          p.x *= r / h;
+          p.y *= r / h;
+          p.vx = 0;
+          p.vy = 0;
+        }
+        positions[j * 3] = p.x;
+        positions[j * 3 + 1] = p.y;
+        positions[j * 3 + 2] = 0.1;
+      });
+      d.points.geometry.attributes.position.needsUpdate = true;
+      d.points.material.opacity = 1 - age / DEBRIS_TIME;
+    }
+  }
+
+  onPress('respawn', () => {
+    if (!rocket.alive && recorder) {
+      recorder.respawn();
+      sim.respawn();
+    }
+  });
+
+  onPress('trajectory', () => {
+    showTrajectory = !showTrajectory;
+    trajStep = -1;
   });
 
   // =========================================================
   // Time scale
   // =========================================================
 
-  const timeScales = [0,0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 16];
-  let timeScaleIndex = 3; // starts at 1x
+  // Scales above PHYSICS_WARP_LIMIT run on rails (see warp.js) while coasting.
+  const timeScales = [0,0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 16, 100, 1000, 10000, 100000];
+  const ONE_X = timeScales.indexOf(1);
+  let timeScaleIndex = ONE_X; // starts at 1x
   let timeScale = 1;
   const hudTime = document.getElementById('hud-time');
+  if (hudTime) hudTime.textContent = 'Time: 1x';
+
+  // How the last frame went: on rails, or why high warp fell back to physics
+  // (warpReason), and the smoothed rate actually achieved when physics steps
+  // can't keep up with the requested scale.
+  let onRails = false;
+  let warpReason = null;
+  let achievedScale = 1;
 
   function setTimeScale(idx) {
     timeScaleIndex = Math.max(0, Math.min(timeScales.length - 1, idx));
     timeScale = timeScales[timeScaleIndex];
-    if (hudTime) hudTime.textContent = timeScale === 0 ? 'Time: PAUSED' : `Time: ${timeScale}x`;
+    achievedScale = timeScale;
+    updateTimeHud();
+  }
+
+  function updateTimeHud() {
+    if (!hudTime) return;
+    let text = timeScale === 0 ? 'Time: PAUSED' : `Time: ${timeScale.toLocaleString('en-US')}x`;
+    if (onRails) text += ' (on rails)';
+    else if (warpReason) text += ` (physics: ${warpReason})`;
+    if (!onRails && timeScale > 0 && achievedScale < timeScale * 0.9) {
+      const shown = achievedScale < 10 ? achievedScale.toFixed(1) : Math.round(achievedScale).toLocaleString('en-US');
+      text += ` - running ${shown}x`;
+    }
+    if (hudTime.textContent !== text) hudTime.textContent = text;
   }
 
-  const stepSlower = () => setTimeScale(timeScaleIndex - 1);
-  const stepFaster = () => setTimeScale(timeScaleIndex + 1);
+  // Races run everyone at 1x, so nobody pauses or warps.
+  const stepSlower = () => { if (!race) setTimeScale(timeScaleIndex - 1); };
+  const stepFaster = () => { if (!race) setTimeScale(timeScaleIndex + 1); };
 
   // Press-and-hold stepping for mouse + touch.
   function bindRepeat(el, stepFn) {
@@ -429,53 +1256,726 @@ export function startGame(levelId) {
         interval = setInterval(stepFn, repeatMs);
       }, firstDelayMs);
     };
-    el.addEventListener('mousedown', start);
-    el.addEventListener('touchstart', start, { passive: false });
-    window.addEventListener('mouseup', stop);
-    window.addEventListener('mouseleave', stop);
-    el.addEventListener('touchend', stop);
-    el.addEventListener('touchcancel', stop);
+    el.addEventListener('mousedown', start, { signal });
+    el.addEventListener('touchstart', start, { passive: false, signal });
+    window.addEventListener('mouseup', stop, { signal });
+    window.addEventListener('mouseleave', stop, { signal });
+    el.addEventListener('touchend', stop, { signal });
+    el.addEventListener('touchcancel', stop, { signal });
+    signal.addEventListener('abort', stop);
   }
 
   bindRepeat(document.getElementById('ts-slower'), stepSlower);
   bindRepeat(document.getElementById('ts-faster'), stepFaster);
 
   document.getElementById('ts-pause')?.addEventListener('click', () => {
-    if (timeScale === 0) setTimeScale(3); // unpause to 1x
+    if (race) return;
+    if (timeScale === 0) setTimeScale(ONE_X); // unpause to 1x
     else setTimeScale(0);
-  });
+  }, { signal });
 
-  // Keyboard: allow single-step and hold-to-repeat stepping.
-  const tsHold = { slower: false, faster: false };
+  // Keys and pad buttons: single-step on press, repeat while held (see
+  // animate). The replay bar has its own speed control.
   let tsHoldTime = 0;
   let tsRepeatAccum = 0;
   const TS_FIRST_DELAY = 0.25; // seconds
   const TS_REPEAT_INTERVAL = 0.12; // seconds per step after delay
 
-  window.addEventListener('keydown', (e) => {
-    if (e.code === 'Comma' || e.code === 'BracketLeft') {
-      tsHold.slower = true;
-      if (!e.repeat) stepSlower();
-      e.preventDefault();
+  onPress('slower', () => { if (!player) stepSlower(); });
+  onPress('faster', () => { if (!player) stepFaster(); });
+  onPress('pause', () => {
+    if (player || race) return;
+    if (timeScale === 0) setTimeScale(ONE_X);
+    else setTimeScale(0);
+  });
+
+  // =========================================================
+  // Mission objectives & results
+  // =========================================================
+
+  const objectivesEl = document.getElementById('objectives');
+  const resultsEl = document.getElementById('results');
+  let objectivesKey = '';
+  let resultsShown = false;
+
+  function updateObjectivesPanel() {
+    if (!objectivesEl || mission.objectives.length === 0) return;
+    objectivesEl.style.display = 'block';
+    // Rebuild only when something visible changed.
+    const current = mission.objectives[mission.index];
+    const hold = current?.spec.type === 'orbit' ? Math.floor(current.hold) : 0;
+    const key = `${mission.index}:${hold}`;
+    if (key === objectivesKey) return;
+    objectivesKey = key;
+    objectivesEl.replaceChildren(...mission.objectives.map((o, i) => {
+      const row = document.createElement('div');
+      let text = `${o.done ? '[x]' : '[ ]'} ${o.label}`;
+      if (i === mission.index && hold > 0) text += ` (${hold}/${o.spec.hold ?? 5}s)`;
+      row.textContent = text;
+      if (o.done) row.className = 'done';
+      else if (i === mission.index) row.className = 'current';
+      return row;
+    }));
+  }
+
+  function showResults() {
+    resultsShown = true;
+    setTimeScale(0);
+    if (race) race.finish(mission.status, mission.stats.time, mission.reason);
+    if (!resultsEl) return;
+    const won = mission.status === 'won';
+    const { stats } = mission;
+    document.getElementById('results-title').textContent = won ? 'Mission complete' : 'Mission failed';
+    document.getElementById('results-reason').textContent = won ? L.name : mission.reason;
+    const rows = [
+      ['Mission time', fmtTime(stats.time)],
+      ['Propellant used', Number.isFinite(sim.fuelCapacity)
+        ? `${(stats.fuelUsed / sim.fuelCapacity * 100).toFixed(0)}% of a tank` : '-'],
+      ['Landings', stats.hardLandings ? `${stats.landings} (${stats.hardLandings} hard)` : stats.landings],
+      ['Crashes', stats.crashes],
+      ...mission.objectives.filter(o => o.done).map(o => [o.label, fmtTime(o.doneAt)]),
+    ];
+    document.getElementById('results-stats').replaceChildren(...rows.map(([k, v]) => {
+      const row = document.createElement('div');
+      row.textContent = `${k}: ${v}`;
+      return row;
+    }));
+    resultsEl.style.display = 'flex';
+  }
+
+  document.getElementById('results-continue')?.addEventListener('click', () => {
+    resultsEl.style.display = 'none';
+    setTimeScale(ONE_X);
+  }, { signal });
+  document.getElementById('results-back')?.addEventListener('click', () => {
+    stop();
+    options.onExit?.();
+  }, { signal });
+
+  // =========================================================
+  // Save / load
+  // =========================================================
+
+  const savesEl = document.getElementById('saves');
+  const savesStatus = document.getElementById('saves-status');
+  const savesLink = document.getElementById('saves-link');
+
+  function captureState() {
+    return {
+      version: SAVE_VERSION,
+      levelId,
+      level: levelData(levelId),
+      sim: sim.snapshot(),
+      mission: mission.snapshot(),
+      maneuver: maneuverNode
+        ? { t: maneuverNode.t, prograde: maneuverNode.prograde, radial: maneuverNode.radial }
+        : null,
+      timeScale,
+      sas: { mode: sasMode, target },
+      camera: { x: camera.position.x, y: camera.position.y, zoom, focus: view.focus, frame: view.frame },
+      savedAt: new Date().toISOString(),
+    };
+  }
+
+  function setSavesStatus(text, isError = false) {
+    savesStatus.textContent = text;
+    savesStatus.classList.toggle('error', isError);
+  }
+
+  // Loading a state or watching a replay restarts the game, possibly on
+  // another level. mode: { state } or { replay }.
+  function restart(mode) {
+    try {
+      const id = resolveLevel(mode.state ?? mode.replay.start);
+      toggleSaves(false);
+      if (resultsEl) resultsEl.style.display = 'none';
+      stop();
+      startGame(id, { ...options, state: undefined, replay: undefined, race: undefined, ...mode });
+    } catch (err) {
+      setSavesStatus(err.message, true);
     }
-    if (e.code === 'Period' || e.code === 'BracketRight' ) {
-      tsHold.faster = true;
-      if (!e.repeat) stepFaster();
-      e.preventDefault();
+  }
+  const loadState = (state) => restart({ state });
+
+  function renderSlots() {
+    const button = (text, onClick, disabled = false) => {
+      const b = document.createElement('button');
+      b.textContent = text;
+      b.disabled = disabled;
+      b.addEventListener('click', onClick);
+      return b;
+    };
+    document.getElementById('save-slots').replaceChildren(...listSlots().map((slot, i) => {
+      const row = document.createElement('div');
+      row.className = 'save-slot';
+      const label = document.createElement('span');
+      label.textContent = slot
+        ? `${i + 1}. ${slot.level?.name ?? slot.levelId}  T+${fmtTime(slot.sim.time)}  ${new Date(slot.savedAt).toLocaleString()}`
+        : `${i + 1}. empty`;
+      row.append(
+        label,
+        button('Save', () => {
+          saveSlot(i, captureState());
+          renderSlots();
+          setSavesStatus(`Saved to slot ${i + 1}`);
+        }),
+        button('Load', () => loadState(slot), !slot),
+        button('Clear', () => {
+          clearSlot(i);
+          renderSlots();
+        }, !slot),
+      );
+      return row;
+    }));
+  }
+
+  // Not during races: loading a state would jump ahead of the others.
+  function toggleSaves(open = savesEl.style.display !== 'block') {
+    if (race && open) return;
+    savesEl.style.display = open ? 'block' : 'none';
+    if (!open) return;
+    setSavesStatus('');
+    savesLink.style.display = 'none';
+    renderSlots();
+  }
+
+  document.getElementById('saves-open')?.addEventListener('click', () => toggleSaves(), { signal });
+  // Rebinding takes over the keyboard until closed; the game keeps running.
+  let settings = null;
+  document.getElementById('saves-controls')?.addEventListener('click', () => {
+    settings ??= openSettings({ onClose: () => { settings = null; } });
+  }, { signal });
+  document.getElementById('saves-close')?.addEventListener('click', () => toggleSaves(false), { signal });
+  onPress('menu', () => toggleSaves());
+
+  document.getElementById('saves-export')?.addEventListener('click', () => {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([stringifyState(captureState())], { type: 'application/json' }));
+    a.download = `space-play-${levelId}-t${Math.round(sim.time)}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }, { signal });
+
+  document.getElementById('saves-import')?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    file?.text().then(parseState).then(loadState, (err) => setSavesStatus(err.message, true));
+  }, { signal });
+
+  // The link is shown as well as copied, since the clipboard may be denied.
+  document.getElementById('saves-share')?.addEventListener('click', () => {
+    stateLink(captureState()).then((link) => {
+      savesLink.value = link;
+      savesLink.style.display = 'block';
+      savesLink.select();
+      return navigator.clipboard.writeText(link).then(() => setSavesStatus('Link copied'));
+    }).catch(() => setSavesStatus('Copy the link above'));
+  }, { signal });
+
+  // Resume the saved view on top of the restored simulation.
+  if (saved) {
+    rocketMesh.visible = rocket.alive;
+    if (saved.maneuver) setManeuverNode({ ...saved.maneuver });
+    if (saved.sas) {
+      setSas(saved.sas.mode);
+      target = saved.sas.target;
     }
-    if (e.code === 'Space') {
-      e.preventDefault();
-      if (timeScale === 0) setTimeScale(3);
-      else setTimeScale(0);
+    const idx = timeScales.indexOf(saved.timeScale);
+    setTimeScale(idx >= 0 ? idx : ONE_X);
+    camera.position.x = saved.camera.x;
+    camera.position.y = saved.camera.y;
+    logZoom = Math.log(saved.camera.zoom);
+    clampZoom();
+    if (FOCUS_ORDER.includes(saved.camera.focus)) view.focus = saved.camera.focus;
+    if (planets[saved.camera.frame]) setFrame(saved.camera.frame);
+  }
+
+  // =========================================================
+  // Recording & replay
+  // =========================================================
+
+  // Live flights are recorded from here on; replays are driven by the log.
+  const player = options.replay ? createPlayer(options.replay, sim, mission) : null;
+  const recorder = player ? null : createRecorder(sim, captureState());
+  const currentReplay = () => (player ? options.replay : recorder.replay());
+
+  const replayEl = document.getElementById('replay');
+  const replayScrub = document.getElementById('replay-scrub');
+  const replayPlay = document.getElementById('replay-play');
+  const replaySpeed = document.getElementById('replay-speed');
+  const replayTime = document.getElementById('replay-time');
+  let replayPaused = false;
+  let scrubbing = false;
+
+  if (replayEl) replayEl.style.display = player ? 'flex' : 'none';
+  for (const id of ['timescale', 'controls', 'sas']) {
+    const el = document.getElementById(id);
+    if (el) el.style.display = player ? 'none' : 'flex';
+  }
+
+  // Replays run at the recorded time scale times the chosen speed.
+  const replayRate = () => (replayPaused || scrubbing || player.done()
+    ? 0 : player.timeScale() * Number(replaySpeed?.value ?? 1));
+
+  function setReplayPaused(paused) {
+    replayPaused = paused;
+    if (replayPlay) replayPlay.textContent = paused ? '\u25B6' : '\u275A\u275A';
+  }
+
+  function updateReplayBar() {
+    if (!player) return;
+    if (player.done() && !replayPaused) setReplayPaused(true);
+    if (!scrubbing) replayScrub.value = sim.stepCount;
+    replayTime.textContent = `${fmtTime((sim.stepCount - player.startStep) * FIXED_DT)} / `
+      + fmtTime((player.endStep - player.startStep) * FIXED_DT);
+  }
+
+  if (player) {
+    replayScrub.min = player.startStep;
+    replayScrub.max = player.endStep;
+    setReplayPaused(false);
+    replayScrub.addEventListener('input', () => {
+      scrubbing = true;
+      player.seek(Number(replayScrub.value));
+      rocketMesh.visible = rocket.alive;
+      resetInterpolation();
+      simAccum = 0;
+      trajStep = -1;
+    }, { signal });
+    replayScrub.addEventListener('change', () => { scrubbing = false; }, { signal });
+    replayPlay?.addEventListener('click', () => {
+      // Play from the start again once the end is reached.
+      if (player.done()) player.seek(player.startStep);
+      setReplayPaused(!replayPaused);
+    }, { signal });
+    onPress('pause', () => replayPlay.click());
+    document.getElementById('replay-exit')?.addEventListener('click', () => {
+      stop();
+      options.onExit?.();
+    }, { signal });
+  }
+
+  // Download or watch the current flight (or the replay being watched).
+  document.getElementById('saves-replay-download')?.addEventListener('click', () => {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([stringifyState(currentReplay())], { type: 'application/json' }));
+    a.download = `space-play-${levelId}-replay.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }, { signal });
+  const watchReplay = () => restart({ replay: currentReplay() });
+  document.getElementById('saves-replay-watch')?.addEventListener('click', watchReplay, { signal });
+  document.getElementById('results-replay')?.addEventListener('click', watchReplay, { signal });
+
+  // =========================================================
+  // Race
+  // =========================================================
+
+  // Others' rockets are sent every RACE_SEND_INTERVAL and drawn
+  // RACE_VIEW_DELAY in the past, between the samples around it.
+  const RACE_SEND_INTERVAL = 0.1; // sim seconds
+  const RACE_VIEW_DELAY = 0.2; // sim seconds
+  const RACER_COLORS = [0x66ff99, 0xffaa33, 0x66aaff, 0xff66aa, 0xffff66, 0xaa88ff];
+  const raceEl = document.getElementById('race');
+  const racePlayersEl = document.getElementById('race-players');
+  const raceStatusEl = document.getElementById('race-status');
+  const raceReadyBtn = document.getElementById('race-ready');
+  const raceResultsEl = document.getElementById('results-race');
+  // performance.now() the race starts at; Infinity until the relay says.
+  let raceStartAt = Infinity;
+  let raceSentAt = -Infinity;
+  let raceClosed = false;
+  // Player id -> { mesh, labelEl } for the others' rockets.
+  const racers = new Map();
+
+  const raceWaiting = () => !!race && performance.now() < raceStartAt;
+
+  function renderRacePlayers() {
+    racePlayersEl.replaceChildren(...race.players.map((p) => {
+      const row = document.createElement('div');
+      row.textContent = `${p.name}${p.id === race.id ? ' (you)' : ''} - ${p.ready ? 'ready' : 'not ready'}`;
+      return row;
+    }));
+  }
+
+  function renderRaceResults({ results, final }) {
+    if (!raceResultsEl) return;
+    const rows = results.map((r, i) => {
+      const row = document.createElement('div');
+      const outcome = r.status === 'won' ? fmtTime(r.time) : r.status === 'left' ? 'left' : `failed (${r.reason})`;
+      row.textContent = `${i + 1}. ${r.name}${r.id === race.id ? ' (you)' : ''}: ${outcome}`;
+      return row;
+    });
+    const head = document.createElement('div');
+    head.className = 'race-head';
+    head.textContent = final ? 'Race results' : 'Race standings (still flying...)';
+    raceResultsEl.replaceChildren(head, ...rows);
+  }
+
+  function racerView(id) {
+    let view = racers.get(id);
+    if (view) return view;
+    const player = race.players.find(p => p.id === id);
+    const color = RACER_COLORS[id % RACER_COLORS.length];
+    const mesh = new THREE.Mesh(rocketMesh.geometry, new THREE.MeshBasicMaterial({ color }));
+    scene.add(mesh);
+    view = { mesh, labelEl: createWorldLabel(cssColor(color), player?.name ?? `Player ${id}`) };
+    racers.set(id, view);
+    return view;
+  }
+
+  // Draw everyone else where they were RACE_VIEW_DELAY ago.
+  function updateRacers() {
+    for (const [id, view] of racers) {
+      if (race.players.some(p => p.id === id)) continue;
+      scene.remove(view.mesh);
+      view.mesh.material.dispose();
+      view.labelEl.remove();
+      racers.delete(id);
     }
-  });
-  window.addEventListener('keyup', (e) => {
-    if (e.code === 'Comma' || e.code === 'BracketLeft') tsHold.slower = false;
-    if (e.code === 'Period' || e.code === 'BracketRight') tsHold.faster = false;
-    if (!tsHold.slower && !tsHold.faster) {
-      tsHoldTime = 0;
-      tsRepeatAccum = 0;
+    for (const p of race.players) {
+      if (p.id === race.id) continue;
+      const state = race.stateAt(p.id, sim.time - RACE_VIEW_DELAY);
+      if (!state) continue;
+      const view = racerView(p.id);
+      view.mesh.visible = state.alive;
+      view.mesh.position.set(state.x, state.y, 0);
+      view.mesh.rotation.z = state.angle - Math.PI / 2;
+      // Keep them findable when zoomed out, like the player indicator.
+      const s = Math.max(1, L.FRUSTUM_SIZE / zoom * 0.006 / L.ROCKET_SIZE);
+      view.mesh.scale.set(s, s, 1);
+      placeWorldLabel(view.labelEl, camera, state.x, state.y, state.alive);
+    }
+  }
+
+  if (race) {
+    raceEl.style.display = 'block';
+    raceStatusEl.textContent = 'Press Ready when you are set to go';
+    raceReadyBtn.disabled = false;
+    renderRacePlayers();
+    raceReadyBtn.addEventListener('click', () => {
+      raceReadyBtn.disabled = true;
+      race.ready();
+    }, { signal });
+    const unsubscribe = [
+      race.on('players', () => {
+        if (raceStartAt === Infinity) renderRacePlayers();
+      }),
+      race.on('start', ({ delay }) => {
+        raceStartAt = performance.now() + delay;
+      }),
+      race.on('results', renderRaceResults),
+      // Lost the relay: fly on alone.
+      race.on('closed', () => {
+        raceClosed = true;
+        if (raceStartAt === Infinity) raceStartAt = performance.now();
+        raceEl.style.display = 'block';
+        racePlayersEl.replaceChildren();
+        raceReadyBtn.style.display = 'none';
+        raceStatusEl.textContent = 'Disconnected from the race relay';
+      }),
+    ];
+    signal.addEventListener('abort', () => {
+      for (const off of unsubscribe) off();
+      race.close();
+      raceEl.style.display = 'none';
+      raceReadyBtn.style.display = '';
+      raceResultsEl?.replaceChildren();
+    });
+  }
+
+  // Countdown, then share our state now and then and draw the others.
+  function updateRace() {
+    if (!race) return;
+    if (raceStartAt !== Infinity && !raceClosed) {
+      const left = (raceStartAt - performance.now()) / 1000;
+      if (left > 0) {
+        raceStatusEl.textContent = `Starting in ${Math.ceil(left)}...`;
+      } else if (raceEl.style.display !== 'none') {
+        raceEl.style.display = 'none';
+      }
+    }
+    if (!raceWaiting() && !raceClosed && sim.time - raceSentAt >= RACE_SEND_INTERVAL) {
+      race.sendState(sim);
+      raceSentAt = sim.time;
+    }
+    updateRacers();
+  }
+
+  // =========================================================
+  // Scripting
+  // =========================================================
+
+  // Api listeners by type, and the simulation events since the last step
+  // (handed to the script with the next one).
+  const apiListeners = {};
+  const stepEvents = [];
+  function emitApi(type, detail) {
+    for (const fn of apiListeners[type] ?? []) fn(detail);
+  }
+  for (const type of GAME_EVENTS) {
+    sim.on(type, (raw) => {
+      const detail = eventDetail(raw);
+      if (script) stepEvents.push({ type, detail });
+      emitApi(type, detail);
+    });
+  }
+
+  // The api drives the flight, not a replay; races keep everyone at 1x.
+  const api = {
+    state: () => gameState(sim, FIXED_DT),
+    setThrottle(t) {
+      control.throttle = t === null ? null : Math.max(0, Math.min(1, Number(t))) || 0;
+    },
+    setHeading(a) {
+      control.heading = a === null || !Number.isFinite(Number(a)) ? null : Number(a);
+    },
+    setTimeScale(scale) {
+      if (player || race) return timeScale;
+      // Nearest by ratio; 0 (or less) pauses.
+      let best = 0;
+      if (scale > 0) {
+        const off = (i) => Math.abs(Math.log(timeScales[i] / scale));
+        best = 1;
+        for (let i = 2; i < timeScales.length; i++) {
+          if (off(i) < off(best)) best = i;
+        }
+      }
+      setTimeScale(best);
+      return timeScale;
+    },
+    on(type, fn) {
+      (apiListeners[type] ??= []).push(fn);
+      return () => {
+        const list = apiListeners[type];
+        const i = list.indexOf(fn);
+        if (i >= 0) list.splice(i, 1);
+      };
+    },
+    release() {
+      control.throttle = null;
+      control.heading = null;
+    },
+  };
+  window.game = api;
+
+  // The flight computer: one script at a time, run from the console. Its
+  // answers drive the physics steps (see runSteps), so steps due between
+  // frames run as soon as it has answered.
+  let script = null;
+  const consoleEl = document.getElementById('console');
+  const consoleSource = document.getElementById('console-source');
+  const consoleLog = document.getElementById('console-log');
+  const CONSOLE_MAX_LINES = 200;
+
+  function logLine(text, isError = false) {
+    if (!consoleLog) return;
+    const line = document.createElement('div');
+    line.textContent = text;
+    line.classList.toggle('error', isError);
+    consoleLog.appendChild(line);
+    while (consoleLog.childElementCount > CONSOLE_MAX_LINES) consoleLog.firstElementChild.remove();
+    consoleLog.scrollTop = consoleLog.scrollHeight;
+  }
+
+  function runScript(source) {
+    stopScript();
+    if (player) {
+      logLine('Replays fly themselves - exit the replay to run a script', true);
+      return;
     }
+    consoleLog?.replaceChildren();
+    script = startScript(source, {
+      onControl({ throttle, heading, timeScale: scale }) {
+        control.throttle = throttle;
+        control.heading = heading;
+        if (scale !== null) api.setTimeScale(scale);
+        runSteps(performance.now() + STEP_BUDGET_MS);
+      },
+      onLog: (text) => logLine(text),
+      onError(message) {
+        logLine(message, true);
+        script = null;
+        api.release();
+      },
+    });
+    stepEvents.length = 0;
+    script.step(api.state());
+    logLine('Script running');
+  }
+
+  function stopScript() {
+    if (!script) return;
+    script.stop();
+    script = null;
+    api.release();
+    logLine('Script stopped');
+  }
+
+  function toggleConsole(open = consoleEl.style.display !== 'block') {
+    consoleEl.style.display = open ? 'block' : 'none';
+  }
+
+  if (consoleSource) consoleSource.value = loadScriptSource();
+  consoleSource?.addEventListener('input', () => saveScriptSource(consoleSource.value), { signal });
+  // Typing a script shouldn't fly the rocket.
+  consoleEl?.addEventListener('keydown', (e) => e.stopPropagation(), { signal });
+  document.getElementById('console-open')?.addEventListener('click', () => toggleConsole(), { signal });
+  document.getElementById('console-close')?.addEventListener('click', () => toggleConsole(false), { signal });
+  document.getElementById('console-run')?.addEventListener('click', () => runScript(consoleSource.value), { signal });
+  document.getElementById('console-stop')?.addEventListener('click', stopScript, { signal });
+  document.getElementById('console-example')?.addEventListener('click', () => {
+    consoleSource.value = EXAMPLE_SCRIPT;
+    saveScriptSource(EXAMPLE_SCRIPT);
+  }, { signal });
+  signal.addEventListener('abort', () => {
+    script?.stop();
+    if (window.game === api) delete window.game;
+    consoleEl.style.display = 'none';
+  });
+
+  // =========================================================
+  // Telemetry
+  // =========================================================
+
+  // Sampled after every step (see runSteps) for the panel's charts and the
+  // downloads; relative speed to the planet picked in the panel.
+  const telemetry = createTelemetry(sim);
+  const telemetryEl = document.getElementById('telemetry');
+  const telemetryCanvas = document.getElementById('telemetry-charts');
+  const telemetryWindow = document.getElementById('telemetry-window');
+  const telemetryReference = document.getElementById('telemetry-reference');
+  // Real seconds between chart redraws while the panel is open.
+  const TELEMETRY_REDRAW = 0.25;
+  let telemetryDrawnAt = -Infinity;
+
+  // One chart each, stacked on a shared time axis; thrusting is shaded
+  // across all of them.
+  const TELEMETRY_CHARTS = [
+    { key: 'altitude', label: 'Altitude', color: '#44aacc' },
+    { key: 'speed', label: 'Speed', color: '#66dd88' },
+    { key: 'relSpeed', label: 'Rel. speed', color: '#ffcc00' },
+    { key: 'accel', label: 'Accel.', color: '#ff8866' },
+    { key: 'throttle', label: 'Throttle', color: '#ff5555' },
+  ];
+
+  function drawTelemetry() {
+    const ctx = telemetryCanvas?.getContext('2d');
+    if (!ctx) return;
+    const { width, height } = telemetryCanvas;
+    const span = Number(telemetryWindow?.value) || 0;
+    const { samples } = telemetry;
+    const end = sim.time;
+    const start = span ? end - span : (samples[0]?.t ?? end);
+    let first = samples.findIndex(s => s.t >= start);
+    if (first < 0) first = samples.length;
+    // About two samples per pixel is plenty.
+    const every = Math.max(1, Math.ceil((samples.length - first) / (width * 2)));
+    // Death gaps are kept whatever the thinning.
+    const shown = samples.slice(first).filter((s, i) => i % every === 0 || s.body === null);
+    const x = (t) => ((t - start) / Math.max(end - start, 1e-9)) * width;
+    const rowH = height / TELEMETRY_CHARTS.length;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(255,80,80,0.12)';
+    shown.forEach((s, i) => {
+      if (s.throttle > 0) ctx.fillRect(x(s.t), 0, x(shown[i + 1]?.t ?? end) - x(s.t) + 1, height);
+    });
+
+    ctx.font = '11px monospace';
+    TELEMETRY_CHARTS.forEach(({ key, label, color }, row) => {
+      const top = row * rowH;
+      let lo = 0;
+      let hi = 0;
+      for (const s of shown) {
+        if (s[key] === null) continue;
+        lo = Math.min(lo, s[key]);
+        hi = Math.max(hi, s[key]);
+      }
+      if (hi <= lo) hi = lo + 1;
+      const y = (v) => top + rowH - 4 - ((v - lo) / (hi - lo)) * (rowH - 18);
+
+      ctx.strokeStyle = 'rgba(255,255,255,0.1)';
+      ctx.beginPath();
+      ctx.moveTo(0, top + rowH - 0.5);
+      ctx.lineTo(width, top + rowH - 0.5);
+      ctx.stroke();
+
+      // Gaps where there is no value (dead, or just respawned).
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      let drawing = false;
+      for (const s of shown) {
+        if (s[key] === null) {
+          drawing = false;
+          continue;
+        }
+        if (drawing) ctx.lineTo(x(s.t), y(s[key]));
+        else ctx.moveTo(x(s.t), y(s[key]));
+        drawing = true;
+      }
+      ctx.stroke();
+
+      const latest = shown[shown.length - 1];
+      const value = latest?.[key];
+      const now = value === null || value === undefined ? '---' : value.toFixed(key === 'throttle' ? 2 : 1);
+      const to = key === 'relSpeed' && latest ? ` (${latest.reference})` : '';
+      ctx.fillStyle = color;
+      ctx.textAlign = 'left';
+      ctx.fillText(`${label} ${now}${to}`, 4, top + 12);
+      ctx.fillStyle = '#777';
+      ctx.textAlign = 'right';
+      ctx.fillText(`max ${hi.toFixed(1)}`, width - 4, top + 12);
+    });
+    telemetryDrawnAt = performance.now();
+  }
+
+  // Redraws only while the panel is open, at most every TELEMETRY_REDRAW.
+  function updateTelemetryPanel() {
+    if (telemetryEl?.style.display !== 'block') return;
+    if (performance.now() - telemetryDrawnAt < TELEMETRY_REDRAW * 1000) return;
+    drawTelemetry();
+  }
+
+  function toggleTelemetry(open = telemetryEl.style.display !== 'block') {
+    telemetryEl.style.display = open ? 'block' : 'none';
+    if (open) drawTelemetry();
+  }
+
+  function downloadTelemetry(text, type, ext) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type }));
+    a.download = `space-play-${levelId}-telemetry.${ext}`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  telemetryReference?.replaceChildren(...planets.map((p) => {
+    const option = document.createElement('option');
+    option.value = p.idx;
+    option.textContent = p.name;
+    option.selected = p.idx === telemetry.reference;
+    return option;
+  }));
+  telemetryReference?.addEventListener('change', () => {
+    telemetry.setReference(Number(telemetryReference.value));
+  }, { signal });
+  telemetryWindow?.addEventListener('change', drawTelemetry, { signal });
+  telemetryEl?.addEventListener('keydown', (e) => e.stopPropagation(), { signal });
+  document.getElementById('telemetry-open')?.addEventListener('click', () => toggleTelemetry(), { signal });
+  document.getElementById('telemetry-close')?.addEventListener('click', () => toggleTelemetry(false), { signal });
+  document.getElementById('telemetry-csv')?.addEventListener('click', () => {
+    downloadTelemetry(telemetry.toCSV(), 'text/csv', 'csv');
+  }, { signal });
+  document.getElementById('telemetry-json')?.addEventListener('click', () => {
+    downloadTelemetry(telemetry.toJSON(), 'application/json', 'json');
+  }, { signal });
+  document.getElementById('telemetry-clear')?.addEventListener('click', () => {
+    telemetry.clear();
+    drawTelemetry();
+  }, { signal });
+  signal.addEventListener('abort', () => {
+    if (telemetryEl) telemetryEl.style.display = 'none';
   });
 
   // =========================================================
@@ -483,17 +1983,40 @@ export function startGame(levelId) {
   // =========================================================
 
   const clock = new THREE.Clock();
-  // Fixed-step simulation reduces visible jitter at high zoom by avoiding
-  // variable-sized Euler steps when frame time fluctuates.
-  const FIXED_DT = 1 / 120;
-  const MAX_STEPS_PER_FRAME = 10;
+  // Fixed-step simulation (FIXED_DT from simulation.js) reduces visible jitter
+  // at high zoom by avoiding variable-sized integration steps when frame time fluctuates.
+  // Stepping is limited by wall-clock time per frame rather than a step count,
+  // so physics warp goes as fast as the machine allows; the rest is dropped
+  // and the HUD shows the rate actually achieved.
+  const STEP_BUDGET_MS = 10;
   let simAccum = 0;
-  // Previous-step state for render interpolation (all planets + rocket).
+  // Sim time at the last frame, for the achieved rate (steps also run
+  // between frames while a script answers).
+  let simTimeAtFrame = sim.time;
+  // Previous-step state for render interpolation (all planets, stations +
+  // rocket).
   const planetPrevX = planets.map(p => p.x);
   const planetPrevY = planets.map(p => p.y);
+  const stationPrevX = stations.map(s => s.x);
+  const stationPrevY = stations.map(s => s.y);
   let rocketPrevX = rocket.x, rocketPrevY = rocket.y, rocketPrevAngle = rocket.angle;
 
+  // Forget the previous step after a jump (replay seek, on-rails warp) so
+  // nothing lerps across it.
+  function resetInterpolation() {
+    for (let i = 0; i < planets.length; i++) {
+      planetPrevX[i] = planets[i].x;
+      planetPrevY[i] = planets[i].y;
+    }
+    for (let i = 0; i < stations.length; i++) {
+      stationPrevX[i] = stations[i].x;
+      stationPrevY[i] = stations[i].y;
+    }
+    rocketPrevX = rocket.x; rocketPrevY = rocket.y; rocketPrevAngle = rocket.angle;
+  }
+
   function lerp(a, b, t) { return a + (b - a) * t; }
+
   function lerpAngle(a, b, t) {
     // Shortest-path interpolation for angles (avoids wrap-around jumps).
     let d = b - a;
@@ -502,20 +2025,53 @@ export function startGame(levelId) {
     return a + d * t;
   }
 
+  let frameId = 0;
+
+  // Physics steps due in simAccum, until `deadline` (performance.now()) or
+  // until the script has to answer the last one.
+  function runSteps(deadline) {
+    while (simAccum >= FIXED_DT && performance.now() < deadline && !script?.waiting) {
+      // Capture previous state for interpolation (before mutating this step).
+      for (let i = 0; i < planets.length; i++) {
+        planetPrevX[i] = planets[i].x;
+        planetPrevY[i] = planets[i].y;
+      }
+      for (let i = 0; i < stations.length; i++) {
+        stationPrevX[i] = stations[i].x;
+        stationPrevY[i] = stations[i].y;
+      }
+      rocketPrevX = rocket.x; rocketPrevY = rocket.y; rocketPrevAngle = rocket.angle;
+
+      if (player) {
+        const advanced = player.advance();
+        if (advanced > 1) resetInterpolation(); // a recorded warp
+        simAccum -= Math.max(1, advanced) * FIXED_DT;
+      } else {
+        const input = currentInput();
+        recorder.record(input, timeScale);
+        sim.step(input);
+        mission.update();
+        simAccum -= FIXED_DT;
+        script?.step(api.state(), stepEvents);
+        stepEvents.length = 0;
+      }
+      telemetry.sample();
+      emitApi('step');
+    }
+  }
+
   function animate() {
-    requestAnimationFrame(animate);
+    if (signal.aborted) return;
+    frameId = requestAnimationFrame(animate);
 
     // Real frame delta (unscaled) for rendering/camera.
     let frameDt = clock.getDelta();
     if (frameDt > 0.05) frameDt = 0.05;
 
-    // Rotation steering is in real-time, not simulation-time (not affected by timeScale).
-    if (rocket.alive) {
-      if (keys.left) rocket.angle += L.ROCKET_ROTATION_SPEED * frameDt;
-      if (keys.right) rocket.angle -= L.ROCKET_ROTATION_SPEED * frameDt;
-    }
+    pollGamepad();
 
     // Time-scale stepping while keys are held.
+    const tsHold = { slower: !player && held('slower'), faster: !player && held('faster') };
     if (tsHold.slower || tsHold.faster) {
       tsHoldTime += frameDt;
       if (tsHoldTime >= TS_FIRST_DELAY) {
@@ -532,107 +2088,70 @@ export function startGame(levelId) {
     }
 
     // Simulation delta respects timeScale and runs in fixed increments.
-    const simDt = frameDt * timeScale;
+    // Races hold everyone at the start until the countdown ends.
+    const simDt = raceWaiting() ? 0 : frameDt * (player ? replayRate() : timeScale);
     simAccum += simDt;
-
-    // Physics step(s)
-    let steps = 0;
-    while (simAccum >= FIXED_DT && steps < MAX_STEPS_PER_FRAME) {
-      steps++;
-      simAccum -= FIXED_DT;
-
-      // Capture previous state for interpolation (before mutating this step).
-      for (let i = 0; i < planets.length; i++) {
-        planetPrevX[i] = planets[i].x;
-        planetPrevY[i] = planets[i].y;
-      }
-      rocketPrevX = rocket.x; rocketPrevY = rocket.y; rocketPrevAngle = rocket.angle;
-
-      // Planet physics (each planet orbits sun; no planet-planet gravity for simplicity)
-      for (const pl of planets) {
-        const pg = gravitationalForce(L.G, 0, 0, L.SUN_MASS, pl.x, pl.y);
-        integrate(pl, pg.fx, pg.fy, FIXED_DT);
-      }
-
-      // Rocket physics
-      if (rocket.alive && rocket.landed) {
-        const landedOn = planets[rocket.landedPlanetIdx] ?? homePlanet;
-        // Stick to planet surface
-        rocket.x = landedOn.x + Math.cos(rocket.landedAngle) * (landedOn.radius + L.ROCKET_SIZE * 0.5);
-        rocket.y = landedOn.y + Math.sin(rocket.landedAngle) * (landedOn.radius + L.ROCKET_SIZE * 0.5);
-        rocket.vx = landedOn.vx;
-        rocket.vy = landedOn.vy;
-
-        // Thrust to take off
-        rocket.thrusting = keys.forward;
-        if (rocket.thrusting) {
-          rocket.landed = false;
-          rocket.vx += Math.cos(rocket.angle) * L.ROCKET_THRUST / L.ROCKET_MASS * FIXED_DT;
-          rocket.vy += Math.sin(rocket.angle) * L.ROCKET_THRUST / L.ROCKET_MASS * FIXED_DT;
-        }
-      } else if (rocket.alive) {
-        const sg = gravitationalForce(L.G, 0, 0, L.SUN_MASS, rocket.x, rocket.y);
-        let ax = sg.fx;
-        let ay = sg.fy;
-        for (const pl of planets) {
-          const pg = gravitationalForce(L.G, pl.x, pl.y, pl.mass, rocket.x, rocket.y);
-          ax += pg.fx;
-          ay += pg.fy;
-        }
-
-        rocket.thrusting = keys.forward;
-        if (rocket.thrusting) {
-          ax += Math.cos(rocket.angle) * L.ROCKET_THRUST / L.ROCKET_MASS;
-          ay += Math.sin(rocket.angle) * L.ROCKET_THRUST / L.ROCKET_MASS;
-        }
-
-        integrate(rocket, ax, ay, FIXED_DT);
-
-        // Sun collision: always fatal
-        if (checkCollision(rocket.x, rocket.y, L.ROCKET_SIZE * 0.5, 0, 0, L.SUN_COLLISION_RADIUS)) {
-          rocket.alive = false;
-          rocketMesh.visible = false;
-        }
-
-        // Planet collision: land or crash depending on relative speed
-        for (const pl of planets) {
-          if (!rocket.alive) break;
-          if (!checkCollision(rocket.x, rocket.y, L.ROCKET_SIZE * 0.5, pl.x, pl.y, pl.collisionRadius)) continue;
-
-          const relVx = rocket.vx - pl.vx;
-          const relVy = rocket.vy - pl.vy;
-          const relSpeed = Math.sqrt(relVx * relVx + relVy * relVy);
-
-          if (relSpeed < L.LANDING_SPEED) {
-            // Safe landing
-            rocket.landed = true;
-            rocket.landedPlanetIdx = pl.idx;
-            rocket.landedAngle = Math.atan2(rocket.y - pl.y, rocket.x - pl.x);
-            rocket.vx = pl.vx;
-            rocket.vy = pl.vy;
-          } else {
-            // Crash
-            rocket.alive = false;
-            rocketMesh.visible = false;
-          }
+    const deadline = performance.now() + STEP_BUDGET_MS;
+
+    // High time warp: on rails while coasting, as far as railsLimit allows.
+    // Otherwise (thrusting, steering, about to hit something or cross an SOI)
+    // the rest of the frame falls back to physics warp.
+    onRails = false;
+    warpReason = null;
+    if (!player && timeScale > PHYSICS_WARP_LIMIT) {
+      const input = currentInput();
+      // A script is called every step, so it can't go on rails.
+      if (script) warpReason = 'script';
+      else if (input.thrust) warpReason = 'thrusting';
+      else if (input.rotate) warpReason = 'steering';
+      else {
+        recorder.record(input, timeScale);
+        const warp = warpOnRails(sim, Math.floor(simAccum / FIXED_DT), () => performance.now() >= deadline);
+        warpReason = warp.reason;
+        if (warp.steps > 0) {
+          recorder.warp(warp.steps);
+          mission.update();
+          telemetry.sample();
+          simAccum -= warp.steps * FIXED_DT;
+          onRails = !warpReason;
+          // Nothing to interpolate across the jump.
+          resetInterpolation();
         }
       }
+      if (warpReason) simAccum = Math.min(simAccum, frameDt * PHYSICS_WARP_LIMIT);
     }
-    // Prevent unbounded catch-up (e.g., after tab was hidden); drop backlog.
-    if (steps === MAX_STEPS_PER_FRAME) simAccum = 0;
+
+    script?.overdue();
+    runSteps(deadline);
+    // Prevent unbounded catch-up (slow machine, tab was hidden); drop the
+    // backlog, which shows up as a lower achieved scale. A script keeps up
+    // to a frame's worth to step through as it answers.
+    if (script) simAccum = Math.min(simAccum, Math.max(simDt, FIXED_DT));
+    else if (simAccum >= FIXED_DT) simAccum = 0;
+    if (frameDt > 0) achievedScale += ((sim.time - simTimeAtFrame) / frameDt - achievedScale) * 0.1;
+    simTimeAtFrame = sim.time;
+    if (!player) updateTimeHud();
 
     // Render interpolation factor between previous and current step.
     const alpha = FIXED_DT > 0 ? (simAccum / FIXED_DT) : 0;
     // Interpolate all planet positions to eliminate jitter.
     const planetRXs = planets.map((p, i) => lerp(planetPrevX[i], p.x, alpha));
     const planetRYs = planets.map((p, i) => lerp(planetPrevY[i], p.y, alpha));
+    const stationRXs = stations.map((s, i) => lerp(stationPrevX[i], s.x, alpha));
+    const stationRYs = stations.map((s, i) => lerp(stationPrevY[i], s.y, alpha));
     const rocketRX = lerp(rocketPrevX, rocket.x, alpha);
     const rocketRY = lerp(rocketPrevY, rocket.y, alpha);
     const rocketRAngle = lerpAngle(rocketPrevAngle, rocket.angle, alpha);
 
     // Update meshes with interpolated positions for all planets.
     for (let i = 0; i < planets.length; i++) {
-      planets[i].mesh.position.set(planetRXs[i], planetRYs[i], 0);
+      planetViews[i].mesh.position.set(planetRXs[i], planetRYs[i], 0);
+      planetViews[i].mesh.rotation.z = planets[i].rotation - planets[i].spin * (1 - alpha) * FIXED_DT;
+      const { parent } = planets[i];
+      if (parent) planetViews[i].orbitLine.position.set(planetRXs[parent.idx], planetRYs[parent.idx], 0);
+    }
+    for (let i = 0; i < stations.length; i++) {
+      stationViews[i].mesh.position.set(stationRXs[i], stationRYs[i], 0);
     }
 
     if (rocket.alive) {
@@ -640,7 +2159,7 @@ export function startGame(levelId) {
       rocketMesh.rotation.z = rocketRAngle - Math.PI / 2;
       flameMesh.visible = rocket.thrusting;
       if (rocket.thrusting) {
-        flameMesh.scale.y = 0.8 + Math.random() * 0.5;
+        flameMesh.scale.y = (0.8 + Math.random() * 0.5) * (0.3 + 0.7 * rocket.throttle);
       }
     }
 
@@ -671,20 +2190,16 @@ export function startGame(levelId) {
       playerIndicator.visible = false;
     }
 
-    // Camera follows rocket
-    const camTarget = rocket.alive
-      ? { x: rocketRX, y: rocketRY }
-      : { x: planetRXs[0], y: planetRYs[0] };
-    // Frame-rate independent smoothing: time constant in seconds.
-    const follow = 1 - Math.exp(-12 * frameDt);
-    camera.position.x += (camTarget.x - camera.position.x) * follow;
-    camera.position.y += (camTarget.y - camera.position.y) * follow;
+    // Camera follows its focus (the rocket by default)
+    placeCamera(planetRXs, planetRYs, rocketRX, rocketRY, frameDt);
 
     camera.left = -effectiveSize * aspect / 2;
     camera.right = effectiveSize * aspect / 2;
     camera.top = effectiveSize / 2;
     camera.bottom = -effectiveSize / 2;
     camera.updateProjectionMatrix();
+    // Labels below project with it before the render would update it.
+    camera.updateMatrixWorld();
 
     // Parallax starfield
     stars.position.x = camera.position.x * 0.5;
@@ -697,44 +2212,117 @@ export function startGame(levelId) {
       if (!ind) continue;
       updateIndicator(ind, planetRXs[i], planetRYs[i]);
     }
+    for (let i = 0; i < stations.length; i++) {
+      updateIndicator(stationIndicators[i], stationRXs[i], stationRYs[i]);
+    }
 
     // In-world labels (so you can actually tell there are multiple planets).
     for (let i = 0; i < planets.length; i++) {
-      const pl = planets[i];
-      const v = new THREE.Vector3(planetRXs[i], planetRYs[i], 0).project(camera);
-      const sx = (v.x * 0.5 + 0.5) * window.innerWidth;
-      const sy = (-v.y * 0.5 + 0.5) * window.innerHeight;
-      const onScreen = (sx >= 0 && sx <= window.innerWidth && sy >= 0 && sy <= window.innerHeight && v.z < 1);
-      pl.labelEl.style.display = onScreen ? 'block' : 'none';
-      if (onScreen) {
-        pl.labelEl.style.left = sx + 'px';
-        pl.labelEl.style.top = (sy - 18) + 'px';
-      }
+      placeWorldLabel(planetViews[i].labelEl, camera, planetRXs[i], planetRYs[i]);
+    }
+    for (let i = 0; i < stations.length; i++) {
+      placeWorldLabel(stationViews[i].labelEl, camera, stationRXs[i], stationRYs[i]);
+    }
+
+    // Predicted trajectory: follows its frame body; markers keep screen size.
+    // Refresh faster while the engine is changing the orbit; not at all while paused.
+    trajAge += frameDt;
+    const trajRefresh = rocket.thrusting ? TRAJ_REFRESH / 3 : TRAJ_REFRESH;
+    if (trajStep !== sim.stepCount && (trajAge >= trajRefresh || trajStep < 0)) refreshTrajectory();
+    const trajFrame = trajectory?.frame;
+    trajGroup.visible = !!trajectory;
+    trajGroup.position.x = trajFrame ? planetRXs[trajFrame.idx] : 0;
+    trajGroup.position.y = trajFrame ? planetRYs[trajFrame.idx] : 0;
+    const markerSize = effectiveSize * 0.008;
+    impactMarker.scale.set(markerSize, markerSize, 1);
+    nodeMarker.scale.set(markerSize, markerSize, 1);
+    placeNodeHandles(!!trajectory && nodeMarker.visible && !!maneuverNode?.axes);
+    placeWorldLabel(impactLabel, camera,
+      trajGroup.position.x + impactMarker.position.x,
+      trajGroup.position.y + impactMarker.position.y,
+      !!trajectory && impactMarker.visible);
+    for (const m of [...approachMarkers, { mesh: targetApproachMarker, labelEl: targetApproachLabel }]) {
+      m.mesh.scale.set(markerSize, markerSize, 1);
+      placeWorldLabel(m.labelEl, camera,
+        trajGroup.position.x + m.mesh.position.x,
+        trajGroup.position.y + m.mesh.position.y,
+        !!trajectory && m.mesh.visible);
     }
 
     // HUD
+    const orbit = rocket.alive && !rocket.landed ? rocketOrbit(L, planets, rocket) : null;
     if (hudSpeed) {
-      const speed = Math.sqrt(rocket.vx * rocket.vx + rocket.vy * rocket.vy);
-      hudSpeed.textContent = `Speed: ${speed.toFixed(1)}`;
+      // Speed relative to the dominant body (sun-frame speed while landed or dead).
+      const speed = orbit ? orbit.speed : Math.sqrt(rocket.vx * rocket.vx + rocket.vy * rocket.vy);
+      hudSpeed.textContent = orbit ? `Speed: ${speed.toFixed(1)} (rel. ${orbit.name})` : `Speed: ${speed.toFixed(1)}`;
     }
+    updateOrbitHud(orbit);
+    updateSasHud();
+    updateTarget(rocketRX, rocketRY, (id) => {
+      const s = stationIndex(id);
+      if (s !== null) return [stationRXs[s], stationRYs[s]];
+      return id === 'sun' ? [0, 0] : [planetRXs[id], planetRYs[id]];
+    }, effectiveSize);
+    updateObjectivesPanel();
+    if (mission.status !== 'active' && !resultsShown && !player) showResults();
+    updateRace();
+    updateReplayBar();
+    updateManeuverHud(rocketRX, rocketRY, effectiveSize);
+    if (hudFuel) {
+      if (!Number.isFinite(sim.fuelCapacity)) {
+        hudFuel.textContent = 'Fuel: unlimited';
+      } else {
+        const pct = Math.round(rocket.fuel / sim.fuelCapacity * 100);
+        const empty = rocket.fuel <= 0 ? '  EMPTY' : '';
+        hudFuel.textContent = `Fuel: ${pct}%  dV: ${sim.remainingDeltaV().toFixed(1)}${empty}`;
+      }
+    }
+    // Air and heating, only while it matters.
+    const air = sim.air();
+    if (hudAir) {
+      const heat = rocket.heat >= 0.01 ? `  Heat: ${Math.round(rocket.heat * 100)}%` : '';
+      hudAir.textContent = air ? `Air: ${air.planet.name} ${air.density.toFixed(3)}${heat}` : heat.trim();
+      hudAir.style.color = rocket.heat > 0.5 ? '#ff6644' : '';
+    }
+    // Glows orange as it heats up.
+    rocketMesh.material.color.setRGB(0.93, 0.93 - 0.5 * rocket.heat, 0.93 - 0.8 * rocket.heat);
     if (hudPos) {
       if (!rocket.alive) {
-        hudPos.textContent = 'DESTROYED - Press R to respawn';
+        const respawnHint = bindingHint('respawn');
+        hudPos.textContent = respawnHint
+          ? `${crashText()} - Press ${respawnHint} to respawn`
+          : `${crashText()} - Bind Respawn in Controls to respawn`;
       } else if (rocket.landed) {
         const landedOn = planets[rocket.landedPlanetIdx] ?? homePlanet;
-        hudPos.textContent = `LANDED on ${landedOn.name} - Thrust to take off`;
+        const hard = lastTouchdown?.impact.outcome === 'hard' && lastTouchdown.planet === landedOn ? ' (hard)' : '';
+        hudPos.textContent = `LANDED on ${landedOn.name}${hard} - Thrust to take off`;
+      } else if (rocket.docked) {
+        hudPos.textContent = `DOCKED with ${stations[rocket.dockedStationIdx].name} - Thrust to undock`;
       } else {
         hudPos.textContent = `Pos: (${rocket.x.toFixed(0)}, ${rocket.y.toFixed(0)})`;
       }
     }
 
+    updateTouchdownHud();
+    updateDebris();
+    updateTelemetryPanel();
+
     renderer.render(scene, camera);
   }
 
   window.addEventListener('resize', () => {
     aspect = window.innerWidth / window.innerHeight;
     renderer.setSize(window.innerWidth, window.innerHeight);
-  });
+  }, { signal });
+
+  function stop() {
+    lifetime.abort();
+    cancelAnimationFrame(frameId);
+    settings?.stop();
+    renderer.dispose();
+    for (const el of ownedEls) el.remove();
+  }
 
   animate();
+  return { stop, api };
 }
@@ -0,0 +1,474 @@
+// =============================================================
+// levels.js - Level file format, validation and registry
+// =============================================================
+//
+// A level file is JSON with the same shape as an entry in LEVELS
+// (physics.js), so any built-in level exported with exportLevel() is a valid
+// file. Distances, masses and speeds are in game units, times in simulated
+// seconds.
+//
+// {
+//   "name": "Earth-Mars",                 required, shown on the picker card
+//   "description": "...",                 optional
+//
+//   Physics (all required, positive numbers):
+//   "G", "SUN_MASS", "SUN_RADIUS", "LANDING_SPEED"
+//
+//   Rocket (required, positive): "ROCKET_MASS" (wet), "ROCKET_THRUST",
+//   "ROCKET_ROTATION_SPEED" (rad/s), "ROCKET_SIZE",
+//   "ROCKET_PLANET_ORBIT_RADIUS" (default spawn orbit)
+//   Optional: "ROCKET_FUEL_MASS" (< ROCKET_MASS; omit for unlimited),
+//   "ROCKET_ISP" (seconds), "REFUEL_RATE" (propellant mass/s while landed),
+//   "ROCKET_DRAG" (drag area, default 0.2), "REENTRY_SPEED" (speed through
+//   air above which drag heats the rocket, default 2 * LANDING_SPEED),
+//   "DOCKING_SPEED" (default LANDING_SPEED / 4), "DOCKING_ANGLE" (radians
+//   the nose may be off the station, default 0.35), "LANDING_SIDE_SPEED"
+//   (speed along the ground a landing may have, default LANDING_SPEED / 2),
+//   "LANDING_ANGLE" (radians the nose may be off upright, default 0.5)
+//
+//   View (required, positive): "FRUSTUM_SIZE", "MIN_ZOOM" < "MAX_ZOOM",
+//   "STAR_SPREAD"
+//
+//   Optional: "INTEGRATOR" ("euler" | "verlet" | "leapfrog" | "rk4"),
+//   "TRAJECTORY_TIME", "TIME_LIMIT", "FUEL_LIMIT",
+//   "N_BODY" (true: every planet and moon attracts every other one, instead
+//   of just the sun and a moon's parent)
+//
+//   "PLANETS": [                          required, at least one; the first is home
+//     { "name": "Earth", "color": "#44aacc" (or a number), "mass": 10,
+//       "radius": 10, "orbitalRadius": 300, "refuel": true (optional),
+//       "eccentricity": 0, "argPeriapsis": 0, "trueAnomaly": 0,  optional
+//       "parent": "Earth",               optional: a moon of an earlier planet
+//       "rotationPeriod": 40,            optional: seconds per turn of the
+//                                         surface, negative for clockwise
+//       "atmosphere": { "height": 3, "density": 0.4, "scaleHeight": 0.6 } }
+//                                         optional: air up to height above
+//                                         the surface, density at the
+//                                         surface, thinning by a factor e
+//                                         every scaleHeight (default height/5)
+//   ],                                    orbitalRadius is the semi-major
+//                                         axis, eccentricity in [0, 1),
+//                                         angles in radians: periapsis
+//                                         direction from +X and where on the
+//                                         (counterclockwise) orbit it starts;
+//                                         all relative to the parent for moons
+//
+//   "STATIONS": [                         optional: spacecraft to dock with
+//     { "name": "Station", "orbitalRadius": 14,                    required
+//       "color": "#dddddd", "radius": 0.25, "refuel": true,       optional
+//       "eccentricity": 0, "argPeriapsis": 0, "trueAnomaly": 0,
+//       "parent": "Earth" }              start orbit as for planets
+//   ],                                    (around the sun without parent);
+//                                         radius defaults to 2 * ROCKET_SIZE,
+//                                         names are shared with planets
+//
+//   "SPAWN": { "body": "Earth", "orbitRadius": 20, "angle": 0,    optional
+//              "landed": false },       orbitRadius from the planet's center,
+//                                         angle in radians
+//
+//   "OBJECTIVES": [ { "type": "land", "body": "Mars" }, ... ]    optional,
+//                                         see objectives.js for the types
+// }
+
+import {
+  LEVELS, INTEGRATORS, DERIVED_KEYS, DERIVED_PLANET_KEYS, deriveLevel,
+} from './physics.js?v=2';
+import { OBJECTIVE_TYPES } from './objectives.js';
+import { cssColor } from './draw.js';
+
+const REQUIRED_POSITIVE = [
+  'G', 'SUN_MASS', 'SUN_RADIUS', 'LANDING_SPEED',
+  'ROCKET_MASS', 'ROCKET_THRUST', 'ROCKET_ROTATION_SPEED', 'ROCKET_SIZE', 'ROCKET_PLANET_ORBIT_RADIUS',
+  'FRUSTUM_SIZE', 'MIN_ZOOM', 'MAX_ZOOM', 'STAR_SPREAD',
+];
+const OPTIONAL_POSITIVE = [
+  'ROCKET_FUEL_MASS', 'ROCKET_ISP', 'ROCKET_DRAG', 'REENTRY_SPEED', 'DOCKING_SPEED', 'DOCKING_ANGLE',
+  'LANDING_SIDE_SPEED', 'LANDING_ANGLE', 'TRAJECTORY_TIME', 'TIME_LIMIT', 'FUEL_LIMIT',
+];
+const OPTIONAL_NON_NEGATIVE = ['REFUEL_RATE'];
+const KNOWN_KEYS = new Set([
+  'name', 'description', 'INTEGRATOR', 'N_BODY', 'PLANETS', 'STATIONS', 'SPAWN', 'OBJECTIVES',
+  ...REQUIRED_POSITIVE, ...OPTIONAL_POSITIVE, ...OPTIONAL_NON_NEGATIVE, ...DERIVED_KEYS,
+]);
+const PLANET_KEYS = new Set([
+  'name', 'color', 'mass', 'radius', 'parent', 'orbitalRadius', 'eccentricity', 'argPeriapsis', 'trueAnomaly',
+  'refuel', 'atmosphere', 'rotationPeriod',
+  ...DERIVED_PLANET_KEYS,
+]);
+const ATMOSPHERE_KEYS = new Set(['height', 'density', 'scaleHeight']);
+const STATION_KEYS = new Set([
+  'name', 'color', 'radius', 'parent', 'orbitalRadius', 'eccentricity', 'argPeriapsis', 'trueAnomaly', 'refuel',
+]);
+const SPAWN_KEYS = new Set(['body', 'orbitRadius', 'angle', 'landed']);
+const OBJECTIVE_KEYS = new Set([
+  'type', 'body', 'label', 'minAltitude', 'maxAltitude', 'hold', 'distance', 'timeLimit',
+]);
+
+// Ids added by registerLevel, as opposed to the built-in levels.
+const registered = new Set();
+
+const slug = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level';
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/** Parse "#rrggbb" / "rrggbb" / number colors to a number, else NaN. */
+function parseColor(c) {
+  if (isNum(c)) return c;
+  if (typeof c === 'string' && /^#?[0-9a-f]{6}$/i.test(c)) return parseInt(c.replace('#', ''), 16);
+  return NaN;
+}
+
+/**
+ * Check a parsed level file. Returns a list of human-readable problems, each
+ * starting with the offending path (empty if the level is valid).
+ */
+export function validateLevel(data) {
+  const errors = [];
+  if (!isObj(data)) return ['level: must be a JSON object'];
+
+  for (const key of Object.keys(data)) {
+    if (!KNOWN_KEYS.has(key)) errors.push(`${key}: unknown key`);
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) errors.push('name: must be a non-empty string');
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('description: must be a string');
+  }
+  for (const key of REQUIRED_POSITIVE) {
+    if (!isNum(data[key]) || data[key] <= 0) errors.push(`${key}: must be a positive number`);
+  }
+  for (const key of OPTIONAL_POSITIVE) {
+    if (data[key] !== undefined && (!isNum(data[key]) || data[key] <= 0)) {
+      errors.push(`${key}: must be a positive number if given`);
+    }
+  }
+  for (const key of OPTIONAL_NON_NEGATIVE) {
+    if (data[key] !== undefined && (!isNum(data[key]) || data[key] < 0)) {
+      errors.push(`${key}: must be zero or a positive number if given`);
+    }
+  }
+  if (isNum(data.MIN_ZOOM) && isNum(data.MAX_ZOOM) && data.MIN_ZOOM >= data.MAX_ZOOM) {
+    errors.push('MIN_ZOOM: must be smaller than MAX_ZOOM');
+  }
+  if (isNum(data.ROCKET_FUEL_MASS) && isNum(data.ROCKET_MASS) && data.ROCKET_FUEL_MASS >= data.ROCKET_MASS) {
+    errors.push('ROCKET_FUEL_MASS: must be smaller than ROCKET_MASS (which includes it)');
+  }
+  if (data.INTEGRATOR !== undefined && !Object.hasOwn(INTEGRATORS, data.INTEGRATOR)) {
+    errors.push(`INTEGRATOR: must be one of ${Object.keys(INTEGRATORS).join(', ')}`);
+  }
+  if (data.N_BODY !== undefined && typeof data.N_BODY !== 'boolean') errors.push('N_BODY: must be true or false');
+
+  const names = new Set();
+  if (!Array.isArray(data.PLANETS) || data.PLANETS.length === 0) {
+    errors.push('PLANETS: must be a non-empty array');
+  } else {
+    data.PLANETS.forEach((p, i) => {
+      const at = `PLANETS[${i}]`;
+      if (!isObj(p)) {
+        errors.push(`${at}: must be an object`);
+        return;
+      }
+      for (const key of Object.keys(p)) {
+        if (!PLANET_KEYS.has(key)) errors.push(`${at}.${key}: unknown key`);
+      }
+      // Parents come first, which also rules out cycles.
+      let parent = null;
+      if (p.parent !== undefined) {
+        if (names.has(p.parent)) parent = data.PLANETS.find(q => q?.name === p.parent);
+        else errors.push(`${at}.parent: no planet named "${p.parent}" listed before it`);
+      }
+      if (typeof p.name !== 'string' || !p.name.trim()) {
+        errors.push(`${at}.name: must be a non-empty string`);
+      } else if (names.has(p.name) || p.name === 'Sun') {
+        errors.push(`${at}.name: "${p.name}" is already used`);
+      } else {
+        names.add(p.name);
+      }
+      if (p.color !== undefined && Number.isNaN(parseColor(p.color))) {
+        errors.push(`${at}.color: must be "#rrggbb" or a number`);
+      }
+      for (const key of ['mass', 'radius', 'orbitalRadius']) {
+        if (!isNum(p[key]) || p[key] <= 0) errors.push(`${at}.${key}: must be a positive number`);
+      }
+      if (p.eccentricity !== undefined && (!isNum(p.eccentricity) || p.eccentricity < 0 || p.eccentricity >= 1)) {
+        errors.push(`${at}.eccentricity: must be a number from 0 up to (not including) 1`);
+      }
+      for (const key of ['argPeriapsis', 'trueAnomaly']) {
+        if (p[key] !== undefined && !isNum(p[key])) errors.push(`${at}.${key}: must be a number (radians)`);
+      }
+      // Closest approach is at periapsis.
+      const e = isNum(p.eccentricity) && p.eccentricity >= 0 && p.eccentricity < 1 ? p.eccentricity : 0;
+      const centerRadius = parent ? parent.radius : data.SUN_RADIUS;
+      if (isNum(p.orbitalRadius) && isNum(p.radius) && isNum(centerRadius)
+        && p.orbitalRadius * (1 - e) <= centerRadius + p.radius) {
+        errors.push(`${at}.orbitalRadius: would overlap ${parent ? parent.name : 'the sun'}${e > 0 ? ' at periapsis' : ''}`);
+      }
+      if (p.refuel !== undefined && typeof p.refuel !== 'boolean') {
+        errors.push(`${at}.refuel: must be true or false`);
+      }
+      if (p.rotationPeriod !== undefined && (!isNum(p.rotationPeriod) || p.rotationPeriod === 0)) {
+        errors.push(`${at}.rotationPeriod: must be a non-zero number (seconds, negative for clockwise)`);
+      }
+      if (p.atmosphere !== undefined) {
+        const atmo = p.atmosphere;
+        if (!isObj(atmo)) {
+          errors.push(`${at}.atmosphere: must be an object`);
+        } else {
+          for (const key of Object.keys(atmo)) {
+            if (!ATMOSPHERE_KEYS.has(key)) errors.push(`${at}.atmosphere.${key}: unknown key`);
+          }
+          for (const key of ['height', 'density']) {
+            if (!isNum(atmo[key]) || atmo[key] <= 0) errors.push(`${at}.atmosphere.${key}: must be a positive number`);
+          }
+          if (atmo.scaleHeight !== undefined && (!isNum(atmo.scaleHeight) || atmo.scaleHeight <= 0)) {
+            errors.push(`${at}.atmosphere.scaleHeight: must be a positive number if given`);
+          }
+        }
+      }
+    });
+  }
+
+  const planetNames = new Set(names);
+  const stationNames = new Set();
+  if (data.STATIONS !== undefined) {
+    if (!Array.isArray(data.STATIONS)) {
+      errors.push('STATIONS: must be an array');
+    } else {
+      data.STATIONS.forEach((s, i) => {
+        const at = `STATIONS[${i}]`;
+        if (!isObj(s)) {
+          errors.push(`${at}: must be an object`);
+          return;
+        }
+        for (const key of Object.keys(s)) {
+          if (!STATION_KEYS.has(key)) errors.push(`${at}.${key}: unknown key`);
+        }
+        let parent = null;
+        if (s.parent !== undefined) {
+          if (planetNames.has(s.parent)) parent = data.PLANETS.find(q => q?.name === s.parent);
+          else errors.push(`${at}.parent: no planet named "${s.parent}"`);
+        }
+        if (typeof s.name !== 'string' || !s.name.trim()) {
+          errors.push(`${at}.name: must be a non-empty string`);
+        } else if (names.has(s.name) || s.name === 'Sun') {
+          errors.push(`${at}.name: "${s.name}" is already used`);
+        } else {
+          names.add(s.name);
+          stationNames.add(s.name);
+        }
+        if (s.color !== undefined && Number.isNaN(parseColor(s.color))) {
+          errors.push(`${at}.color: must be "#rrggbb" or a number`);
+        }
+        if (!isNum(s.orbitalRadius) || s.orbitalRadius <= 0) errors.push(`${at}.orbitalRadius: must be a positive number`);
+        if (s.radius !== undefined && (!isNum(s.radius) || s.radius <= 0)) {
+          errors.push(`${at}.radius: must be a positive number if given`);
+        }
+        if (s.eccentricity !== undefined && (!isNum(s.eccentricity) || s.eccentricity < 0 || s.eccentricity >= 1)) {
+          errors.push(`${at}.eccentricity: must be a number from 0 up to (not including) 1`);
+        }
+        for (const key of ['argPeriapsis', 'trueAnomaly']) {
+          if (s[key] !== undefined && !isNum(s[key])) errors.push(`${at}.${key}: must be a number (radians)`);
+        }
+        const e = isNum(s.eccentricity) && s.eccentricity >= 0 && s.eccentricity < 1 ? s.eccentricity : 0;
+        const centerRadius = parent ? parent.radius : data.SUN_RADIUS;
+        if (isNum(s.orbitalRadius) && isNum(centerRadius) && s.orbitalRadius * (1 - e) <= centerRadius) {
+          errors.push(`${at}.orbitalRadius: would hit ${parent ? parent.name : 'the sun'}${e > 0 ? ' at periapsis' : ''}`);
+        }
+        if (s.refuel !== undefined && typeof s.refuel !== 'boolean') {
+          errors.push(`${at}.refuel: must be true or false`);
+        }
+      });
+    }
+  }
+
+  if (data.SPAWN !== undefined) {
+    const sp = data.SPAWN;
+    if (!isObj(sp)) {
+      errors.push('SPAWN: must be an object');
+    } else {
+      for (const key of Object.keys(sp)) {
+        if (!SPAWN_KEYS.has(key)) errors.push(`SPAWN.${key}: unknown key`);
+      }
+      if (sp.body !== undefined && !planetNames.has(sp.body)) errors.push(`SPAWN.body: no planet named "${sp.body}"`);
+      const body = Array.isArray(data.PLANETS) ? data.PLANETS.find(p => p?.name === (sp.body ?? data.PLANETS[0]?.name)) : null;
+      if (sp.orbitRadius !== undefined && (!isNum(sp.orbitRadius) || sp.orbitRadius <= 0)) {
+        errors.push('SPAWN.orbitRadius: must be a positive number');
+      } else if (isNum(sp.orbitRadius) && isNum(body?.radius) && sp.orbitRadius <= body.radius) {
+        errors.push(`SPAWN.orbitRadius: inside ${body.name}`);
+      }
+      if (sp.angle !== undefined && !isNum(sp.angle)) errors.push('SPAWN.angle: must be a number (radians)');
+      if (sp.landed !== undefined && typeof sp.landed !== 'boolean') errors.push('SPAWN.landed: must be true or false');
+    }
+  }
+
+  if (data.OBJECTIVES !== undefined) {
+    if (!Array.isArray(data.OBJECTIVES)) {
+      errors.push('OBJECTIVES: must be an array');
+    } else {
+      data.OBJECTIVES.forEach((o, i) => {
+        const at = `OBJECTIVES[${i}]`;
+        if (!isObj(o)) {
+          errors.push(`${at}: must be an object`);
+          return;
+        }
+        for (const key of Object.keys(o)) {
+          if (!OBJECTIVE_KEYS.has(key)) errors.push(`${at}.${key}: unknown key`);
+        }
+        if (!OBJECTIVE_TYPES.includes(o.type)) {
+          errors.push(`${at}.type: must be one of ${OBJECTIVE_TYPES.join(', ')}`);
+        }
+        if (o.type === 'dock') {
+          if (!stationNames.has(o.body)) errors.push(`${at}.body: no station named "${o.body}"`);
+        } else if (o.body === 'Sun' && o.type !== 'orbit' && o.type !== 'approach') {
+          errors.push(`${at}.body: "Sun" only works for orbit and approach objectives`);
+        } else if (o.body !== undefined && o.body !== 'Sun'
+          && !(planetNames.has(o.body) || (o.type === 'approach' && stationNames.has(o.body)))) {
+          errors.push(`${at}.body: no ${o.type === 'approach' ? 'planet or station' : 'planet'} named "${o.body}"`);
+        }
+        if (o.type === 'approach' && (!isNum(o.distance) || o.distance <= 0)) {
+          errors.push(`${at}.distance: must be a positive number`);
+        }
+        for (const key of ['minAltitude', 'maxAltitude', 'hold', 'timeLimit']) {
+          if (o[key] !== undefined && !isNum(o[key])) errors.push(`${at}.${key}: must be a number`);
+        }
+        if (o.label !== undefined && typeof o.label !== 'string') errors.push(`${at}.label: must be a string`);
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate plain level data (or its JSON text) and turn it into a playable
+ * level: colors become numbers and derived values are added. Throws an Error
+ * listing every problem (also available as `error.errors`).
+ */
+export function parseLevel(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Level is not valid JSON: ${err.message}`);
+    }
+  }
+  const errors = validateLevel(data);
+  if (errors.length) {
+    throw Object.assign(new Error(`Invalid level:\n${errors.join('\n')}`), { errors });
+  }
+  const level = structuredClone(data);
+  for (const p of level.PLANETS) {
+    p.color = p.color === undefined ? 0xffffff : parseColor(p.color);
+  }
+  for (const s of level.STATIONS ?? []) {
+    if (s.color !== undefined) s.color = parseColor(s.color);
+  }
+  return deriveLevel(level);
+}
+
+/**
+ * Level as pretty-printed JSON in the file format (derived values dropped,
+ * colors as "#rrggbb").
+ */
+export function exportLevel(level) {
+  const out = structuredClone(level);
+  for (const key of DERIVED_KEYS) delete out[key];
+  for (const p of out.PLANETS) {
+    for (const key of DERIVED_PLANET_KEYS) delete p[key];
+    p.color = cssColor(p.color);
+  }
+  for (const s of out.STATIONS ?? []) {
+    if (s.color !== undefined) s.color = cssColor(s.color);
+  }
+  return JSON.stringify(out, null, 2);
+}
+
+/**
+ * Add a level to LEVELS under an id derived from `id` (or its name) and return
+ * the id it got. Taken ids get a numeric suffix unless `replace` is set.
+ */
+export function registerLevel(level, id = level.name, { replace = false } = {}) {
+  const base = slug(id);
+  let free = base;
+  for (let n = 2; !replace && Object.hasOwn(LEVELS, free); n++) free = `${base}-${n}`;
+  LEVELS[free] = level;
+  registered.add(free);
+  return free;
+}
+
+/** True for levels shipped in physics.js (same id means same level anywhere). */
+export function isBuiltinLevel(id) {
+  return Object.hasOwn(LEVELS, id) && !registered.has(id);
+}
+
+/** Fetch, validate and register a level file; resolves to its id. */
+export async function loadLevelFromUrl(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load level from ${url}: HTTP ${res.status}`);
+  return registerLevel(parseLevel(await res.text()));
+}
+
+/** Read, validate and register a level File (from an <input type=file>). */
+export async function loadLevelFromFile(file) {
+  return registerLevel(parseLevel(await file.text()));
+}
+
+// --- Levels saved in the browser (see editor.js) ---
+
+const STORAGE_KEY = 'space-play.levels';
+
+/** Saved level files (plain data in the file format), keyed by level name. */
+export function localLevels() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/** Save level file data under its name, replacing an earlier save. */
+export function saveLocalLevel(data) {
+  const saved = localLevels();
+  saved[data.name] = data;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
+
+export function deleteLocalLevel(name) {
+  const saved = localLevels();
+  delete saved[name];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
+
+/**
+ * Id a saved/edited level is registered under, apart from the built-ins.
+ * Names that slug alike ("My Level" and "my level") are numbered in save
+ * order, so each saved level keeps an id of its own; an unsaved name comes
+ * after them.
+ */
+export function localLevelId(name) {
+  const names = Object.keys(localLevels());
+  if (!names.includes(name)) names.push(name);
+  const taken = new Set();
+  for (const n of names) {
+    const base = slug(`custom-${n}`);
+    let id = base;
+    for (let k = 2; taken.has(id); k++) id = `${base}-${k}`;
+    if (n === name) return id;
+    taken.add(id);
+  }
+}
+
+/**
+ * Register every saved level (replacing earlier registrations) and return
+ * their ids. Saves that no longer validate are skipped with a warning.
+ */
+export function registerLocalLevels() {
+  const ids = [];
+  for (const [name, data] of Object.entries(localLevels())) {
+    try {
+      ids.push(registerLevel(parseLevel(data), localLevelId(name), { replace: true }));
+    } catch (err) {
+      console.warn(`Skipping saved level "${name}": ${err.message}`);
+    }
+  }
+  return ids;
+}
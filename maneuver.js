@@ -0,0 +1,60 @@
+// =============================================================
+// maneuver.js - Maneuver node math
+// =============================================================
+//
+// A maneuver node is a planned impulsive burn: { t, prograde, radial } where
+// t is the absolute simulation time of the burn and prograde/radial are
+// delta-v components relative to the dominant body at that moment (radial is
+// positive outward). Pure functions, no DOM.
+
+import { G0 } from './physics.js?v=2';
+import { dominantBody } from './orbit.js';
+
+/**
+ * Inertial delta-v vector for `node` applied to a rocket state { x, y, vx, vy }
+ * given the current planet states. Returns { dvx, dvy, body, prograde,
+ * radialOut } with the last two as unit vectors { x, y }.
+ */
+export function nodeDeltaV(L, planets, state, node) {
+  const body = dominantBody(L, planets, state.x, state.y);
+  const rx = state.x - (body ? body.x : 0);
+  const ry = state.y - (body ? body.y : 0);
+  let px = state.vx - (body ? body.vx : 0);
+  let py = state.vy - (body ? body.vy : 0);
+  const speed = Math.hypot(px, py);
+  if (speed > 1e-9) {
+    px /= speed;
+    py /= speed;
+  } else {
+    // Hovering relative to the body: treat "prograde" as counterclockwise.
+    const r = Math.hypot(rx, ry) || 1;
+    px = -ry / r;
+    py = rx / r;
+  }
+  // Radial-out is the prograde normal that points away from the body.
+  let nx = -py;
+  let ny = px;
+  if (nx * rx + ny * ry < 0) { nx = -nx; ny = -ny; }
+  return {
+    dvx: px * node.prograde + nx * node.radial,
+    dvy: py * node.prograde + ny * node.radial,
+    body,
+    prograde: { x: px, y: py },
+    radialOut: { x: nx, y: ny },
+  };
+}
+
+/**
+ * Seconds of full thrust needed for `dv` with the current mass and propellant
+ * (Tsiolkovsky; constant acceleration with unlimited fuel). Infinity if the
+ * tank can't deliver it.
+ */
+export function burnTime(L, mass, fuel, dv) {
+  if (!(dv > 0)) return 0;
+  const isp = L.ROCKET_ISP;
+  if (!Number.isFinite(fuel) || !Number.isFinite(isp)) return dv * mass / L.ROCKET_THRUST;
+  const ve = isp * G0;
+  const burned = mass * (1 - Math.exp(-dv / ve));
+  if (burned > fuel) return Infinity;
+  return burned * ve / L.ROCKET_THRUST;
+}
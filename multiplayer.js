@@ -0,0 +1,166 @@
+// =============================================================
+// multiplayer.js - Race client for the relay in server/relay.mjs
+// =============================================================
+//
+// Every player flies their own simulation of the same level; the relay
+// starts them together and passes rocket states and finishes around (see
+// the protocol in server/relay.mjs). Flights stay independent, so other
+// rockets are drawn but don't interact with yours.
+//
+//   const race = await joinRace({ url, room, level, name });
+//   race.on('start', ({ delay }) => ...);
+//   race.sendState(sim);
+
+// Rocket fields sent to the others.
+const STATE_KEYS = ['x', 'y', 'vx', 'vy', 'angle', 'thrusting', 'alive'];
+// Samples older than this (sim seconds) behind the newest are dropped.
+const SAMPLE_WINDOW = 2;
+// Past its newest sample a rocket is extrapolated at most this long.
+const MAX_EXTRAPOLATION = 0.5;
+
+/** Relay URL on the server the page came from (the relay serves the game). */
+export function defaultRelayUrl() {
+  const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+  return `${scheme}://${location.host || 'localhost:8080'}/race`;
+}
+
+/**
+ * Connect to the relay at `url` and join `room` to race `level` (a level id)
+ * as `name`. Resolves to { id, players, on, ready, sendState, finish,
+ * stateAt, close } once the relay has let us in; rejects if it can't be
+ * reached or turns us away.
+ *
+ * on(type, fn) listens to the relay's messages by type ('players', 'start',
+ * 'results', 'error') and to 'closed'; players is kept up to date.
+ */
+export function joinRace({ url, room, level, name }) {
+  return new Promise((resolve, reject) => {
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (err) {
+      reject(new Error(`Could not connect to ${url}: ${err.message}`));
+      return;
+    }
+    const listeners = {};
+    // Player id -> [{ t, x, y, ... }] in time order.
+    const samples = new Map();
+    let welcomed = false;
+
+    function emit(type, detail) {
+      for (const fn of listeners[type] ?? []) fn(detail);
+    }
+
+    const send = (msg) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+    };
+
+    const race = {
+      id: null,
+      players: [],
+
+      /** Subscribe to a message type; returns an unsubscribe function. */
+      on(type, fn) {
+        (listeners[type] ??= []).push(fn);
+        return () => {
+          const list = listeners[type];
+          const i = list.indexOf(fn);
+          if (i >= 0) list.splice(i, 1);
+        };
+      },
+
+      ready() {
+        send({ type: 'ready' });
+      },
+
+      /** Share the rocket's state at the current sim time. */
+      sendState(sim) {
+        const state = { type: 'state', t: sim.time };
+        for (const key of STATE_KEYS) state[key] = sim.rocket[key];
+        send(state);
+      },
+
+      /** Report the mission outcome: status 'won' | 'failed', mission time. */
+      finish(status, time, reason = null) {
+        send({ type: 'finish', status, time, reason });
+      },
+
+      /**
+       * Where player `id`'s rocket was at sim time `t`, interpolated between
+       * the samples around it: { x, y, angle, thrusting, alive }, or null
+       * before anything arrived.
+       */
+      stateAt(id, t) {
+        const list = samples.get(id);
+        if (!list?.length) return null;
+        let i = list.findIndex(s => s.t > t);
+        if (i === 0) return list[0];
+        if (i < 0) {
+          const last = list[list.length - 1];
+          const dt = Math.min(t - last.t, MAX_EXTRAPOLATION);
+          return last.alive ? { ...last, x: last.x + last.vx * dt, y: last.y + last.vy * dt } : last;
+        }
+        const a = list[i - 1];
+        const b = list[i];
+        const k = (t - a.t) / (b.t - a.t);
+        let da = b.angle - a.angle;
+        da = Math.atan2(Math.sin(da), Math.cos(da));
+        return {
+          ...b,
+          x: a.x + (b.x - a.x) * k,
+          y: a.y + (b.y - a.y) * k,
+          angle: a.angle + da * k,
+          thrusting: a.thrusting,
+          alive: a.alive,
+        };
+      },
+
+      close() {
+        ws.close();
+      },
+    };
+
+    ws.addEventListener('message', (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      switch (msg.type) {
+        case 'welcome':
+          welcomed = true;
+          race.id = msg.id;
+          race.players = msg.players;
+          resolve(race);
+          return;
+        case 'players':
+          race.players = msg.players;
+          for (const id of samples.keys()) {
+            if (!msg.players.some(p => p.id === id)) samples.delete(id);
+          }
+          break;
+        case 'state': {
+          const list = samples.get(msg.id) ?? [];
+          // A respawn or restart can go back in time; start over then.
+          if (list.length && msg.t <= list[list.length - 1].t) list.length = 0;
+          list.push(msg);
+          while (list.length > 2 && list[0].t < msg.t - SAMPLE_WINDOW) list.shift();
+          samples.set(msg.id, list);
+          break;
+        }
+        case 'error':
+          if (!welcomed) reject(new Error(msg.message));
+          break;
+        default:
+          break;
+      }
+      emit(msg.type, msg);
+    });
+    ws.addEventListener('open', () => send({ type: 'join', room, level, name }));
+    ws.addEventListener('close', () => {
+      if (!welcomed) reject(new Error(`Could not join a race at ${url}`));
+      emit('closed', {});
+    });
+  });
+}
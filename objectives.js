@@ -0,0 +1,175 @@
+// =============================================================
+// objectives.js - Mission objectives and win/lose conditions
+// =============================================================
+//
+// Levels may declare OBJECTIVES, an ordered list completed one at a time:
+//
+//   { type: 'orbit', body: 'Earth', minAltitude, maxAltitude, hold }
+//       Bound orbit around `body` (its sphere of influence for planets) with
+//       periapsis/apoapsis altitudes inside the limits, held for `hold`
+//       seconds (default 5).
+//   { type: 'land', body: 'Mars' }      Landed on the body.
+//   { type: 'return' }                  Landed back on the home planet.
+//   { type: 'approach', body, distance } Within `distance` of the body center
+//                                       (a planet, the sun or a station).
+//   { type: 'dock', body: 'Station' }   Docked with the station.
+//
+// Any objective may add `label` (shown instead of the generated text) and
+// `timeLimit` (sim seconds since the start). TIME_LIMIT and FUEL_LIMIT
+// (propellant mass burned) on the level apply to the whole mission.
+
+import { rocketOrbit, sphereOfInfluence } from './orbit.js';
+
+const DEFAULT_HOLD = 5;
+export const OBJECTIVE_TYPES = ['orbit', 'land', 'return', 'approach', 'dock'];
+
+function describe(spec, home) {
+  if (spec.label) return spec.label;
+  switch (spec.type) {
+    case 'orbit': return `Reach a stable orbit around ${spec.body}`;
+    case 'land': return `Land on ${spec.body}`;
+    case 'return': return `Return to ${home.name}`;
+    case 'approach': return `Get within ${spec.distance} of ${spec.body}`;
+    case 'dock': return `Dock with ${spec.body}`;
+    default: return spec.type;
+  }
+}
+
+/**
+ * Track the level's OBJECTIVES against a simulation. Call update() after every
+ * sim.step().
+ *
+ * Returns { objectives: [{ spec, label, done, doneAt, hold }], index, status
+ * ('active' | 'won' | 'failed'), reason, stats: { time, fuelUsed, crashes,
+ * landings, hardLandings }, update, snapshot, restore }. Levels without objectives never
+ * leave 'active'. restore() expects the simulation to be restored first.
+ */
+export function createMission(sim) {
+  const L = sim.L;
+  const { planets, stations, rocket, homePlanet } = sim;
+
+  const bodyByName = (name, type) => {
+    if (name === 'Sun' && type !== 'dock') return null;
+    const candidates = type === 'dock' ? stations : type === 'approach' ? [...planets, ...stations] : planets;
+    const body = candidates.find(b => b.name === name);
+    if (!body) throw new Error(`Objective refers to unknown ${type === 'dock' ? 'station' : 'body'} "${name}"`);
+    return body;
+  };
+
+  const objectives = (L.OBJECTIVES ?? []).map((spec) => {
+    if (!OBJECTIVE_TYPES.includes(spec.type)) throw new Error(`Unknown objective type "${spec.type}"`);
+    return {
+      spec,
+      label: describe(spec, homePlanet),
+      body: spec.type === 'return' ? homePlanet : bodyByName(spec.body ?? homePlanet.name, spec.type),
+      done: false,
+      doneAt: null,
+      hold: 0, // seconds the orbit condition has held
+    };
+  });
+
+  const stats = { time: 0, fuelUsed: 0, crashes: 0, landings: 0, hardLandings: 0 };
+  sim.on('crashed', () => { stats.crashes++; });
+  sim.on('landed', ({ impact }) => {
+    stats.landings++;
+    if (impact?.outcome === 'hard') stats.hardLandings++;
+  });
+
+  const mission = {
+    objectives,
+    index: 0,
+    status: 'active',
+    reason: null,
+    stats,
+    update,
+
+    snapshot() {
+      return {
+        index: mission.index,
+        status: mission.status,
+        reason: mission.reason,
+        stats: { ...stats },
+        objectives: objectives.map(({ done, doneAt, hold }) => ({ done, doneAt, hold })),
+      };
+    },
+
+    restore(state) {
+      mission.index = state.index;
+      mission.status = state.status;
+      mission.reason = state.reason;
+      Object.assign(stats, state.stats);
+      state.objectives.forEach((o, i) => Object.assign(objectives[i], o));
+      startTime = sim.time - stats.time;
+      lastFuel = rocket.fuel;
+    },
+  };
+
+  let startTime = sim.time;
+  let lastFuel = rocket.fuel;
+
+  function finish(status, reason) {
+    mission.status = status;
+    mission.reason = reason;
+  }
+
+  function isMet(obj, dt) {
+    const { spec, body } = obj;
+    if (!rocket.alive) return false;
+    switch (spec.type) {
+      case 'land':
+      case 'return':
+        return !!body && rocket.landed && rocket.landedPlanetIdx === body.idx;
+      case 'dock':
+        return rocket.docked && rocket.dockedStationIdx === body.idx;
+      case 'approach': {
+        const bx = body ? body.x : 0;
+        const by = body ? body.y : 0;
+        return Math.hypot(rocket.x - bx, rocket.y - by) <= spec.distance;
+      }
+      case 'orbit': {
+        const o = rocket.landed ? null : rocketOrbit(L, planets, rocket);
+        const ok = !!o && o.body === body && o.bound
+          && o.periapsis - (body ? body.radius : L.SUN_RADIUS) >= (spec.minAltitude ?? 0)
+          && o.apoapsis - (body ? body.radius : L.SUN_RADIUS) <= (spec.maxAltitude ?? Infinity)
+          && (!body || o.apoapsis < sphereOfInfluence(L, body));
+        obj.hold = ok ? obj.hold + dt : 0;
+        return obj.hold >= (spec.hold ?? DEFAULT_HOLD);
+      }
+      default:
+        return false;
+    }
+  }
+
+  function update() {
+    const dt = sim.time - startTime - stats.time;
+    stats.time = sim.time - startTime;
+    // Only count burns; refuelling and respawns refill the tank.
+    if (rocket.fuel < lastFuel) stats.fuelUsed += lastFuel - rocket.fuel;
+    lastFuel = rocket.fuel;
+
+    if (mission.status !== 'active' || objectives.length === 0) return;
+
+    if (L.TIME_LIMIT && stats.time > L.TIME_LIMIT) {
+      finish('failed', 'Out of time');
+      return;
+    }
+    if (L.FUEL_LIMIT && stats.fuelUsed > L.FUEL_LIMIT) {
+      finish('failed', 'Propellant budget exceeded');
+      return;
+    }
+
+    const obj = objectives[mission.index];
+    if (obj.spec.timeLimit && stats.time > obj.spec.timeLimit) {
+      finish('failed', `Too slow: ${obj.label}`);
+      return;
+    }
+    if (!isMet(obj, dt)) return;
+
+    obj.done = true;
+    obj.doneAt = stats.time;
+    mission.index++;
+    if (mission.index >= objectives.length) finish('won', null);
+  }
+
+  return mission;
+}
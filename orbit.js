@@ -0,0 +1,238 @@
+// =============================================================
+// orbit.js - Two-body orbital elements and spheres of influence
+// =============================================================
+//
+// Everything here treats the rocket as orbiting a single body (the sun at
+// (0,0) or a planet), which is what the HUD readouts and on-rails time warp
+// need. Pure functions, no DOM.
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Laplace sphere of influence radius of a planet around the sun (or a moon
+ * around its planet.parent): r_SOI = a * (m / M)^(2/5), with a the current
+ * distance to the body it orbits.
+ */
+export function sphereOfInfluence(L, planet) {
+  const { parent } = planet;
+  const a = Math.hypot(planet.x - (parent ? parent.x : 0), planet.y - (parent ? parent.y : 0));
+  return a * Math.pow(planet.mass / (parent ? parent.mass : L.SUN_MASS), 0.4);
+}
+
+/**
+ * Body whose sphere of influence contains (x, y): a planet, or null for the
+ * sun. If SOIs overlap (a moon's inside its planet's), the smallest one wins.
+ */
+export function dominantBody(L, planets, x, y) {
+  let best = null;
+  let bestSoi = Infinity;
+  for (const pl of planets) {
+    const soi = sphereOfInfluence(L, pl);
+    if (Math.hypot(x - pl.x, y - pl.y) < soi && soi < bestSoi) {
+      best = pl;
+      bestSoi = soi;
+    }
+  }
+  return best;
+}
+
+/**
+ * Keplerian elements of a body at relative position (rx, ry) with relative
+ * velocity (vx, vy) around a central mass with gravitational parameter mu.
+ *
+ * Returns { a, e, periapsis, apoapsis, period, trueAnomaly, argPeriapsis,
+ * timeToPeriapsis, timeToApoapsis, bound, direction }. Distances are from the
+ * central body's center. For escape trajectories apoapsis and period are
+ * Infinity, timeToApoapsis is null and timeToPeriapsis is null once past it.
+ * direction is 1 for counterclockwise motion, -1 for clockwise.
+ */
+export function orbitalElements(mu, rx, ry, vx, vy) {
+  const r = Math.hypot(rx, ry);
+  const v2 = vx * vx + vy * vy;
+  const rv = rx * vx + ry * vy;
+  const h = rx * vy - ry * vx; // specific angular momentum (z)
+  const direction = h < 0 ? -1 : 1;
+
+  // Eccentricity vector points at periapsis.
+  const ex = ((v2 - mu / r) * rx - rv * vx) / mu;
+  const ey = ((v2 - mu / r) * ry - rv * vy) / mu;
+  const e = Math.hypot(ex, ey);
+  const energy = v2 / 2 - mu / r;
+  const bound = energy < 0;
+  // Semi-latus rectum p = h^2 / mu is well-defined for every conic.
+  const p = h * h / mu;
+  const a = Math.abs(1 - e * e) > 1e-12 ? p / (1 - e * e) : Infinity;
+  const periapsis = p / (1 + e);
+
+  // Circular orbits have no periapsis; measure from +X instead.
+  const argPeriapsis = e > 1e-9 ? Math.atan2(ey, ex) : 0;
+  let trueAnomaly = direction * (Math.atan2(ry, rx) - argPeriapsis);
+  trueAnomaly = ((trueAnomaly % TWO_PI) + TWO_PI) % TWO_PI;
+
+  if (bound) {
+    const n = Math.sqrt(mu / (a * a * a));
+    const period = TWO_PI / n;
+    const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(trueAnomaly / 2), Math.sqrt(1 + e) * Math.cos(trueAnomaly / 2));
+    const M = ((E - e * Math.sin(E)) % TWO_PI + TWO_PI) % TWO_PI;
+    return {
+      a, e, periapsis,
+      apoapsis: a * (1 + e),
+      period,
+      trueAnomaly, argPeriapsis,
+      timeToPeriapsis: ((TWO_PI - M) % TWO_PI) / n,
+      timeToApoapsis: (((Math.PI - M) % TWO_PI) + TWO_PI) % TWO_PI / n,
+      bound, direction,
+    };
+  }
+
+  // Hyperbolic (or parabolic) escape: only periapsis timing is meaningful.
+  const nu = trueAnomaly > Math.PI ? trueAnomaly - TWO_PI : trueAnomaly;
+  let timeToPeriapsis = null;
+  if (nu < 0 && e > 1) {
+    const n = Math.sqrt(mu / Math.pow(-a, 3));
+    const F = 2 * Math.atanh(Math.sqrt((e - 1) / (e + 1)) * Math.tan(nu / 2));
+    const M = e * Math.sinh(F) - F;
+    timeToPeriapsis = -M / n;
+  }
+  return {
+    a, e, periapsis,
+    apoapsis: Infinity,
+    period: Infinity,
+    trueAnomaly: nu, argPeriapsis,
+    timeToPeriapsis,
+    timeToApoapsis: null,
+    bound, direction,
+  };
+}
+
+/**
+ * Position and velocity relative to the central body at true anomaly
+ * `trueAnomaly` on the counterclockwise orbit with semi-major axis a,
+ * eccentricity e (< 1) and periapsis direction argPeriapsis (radians from +X).
+ *
+ * Returns { x, y, vx, vy }.
+ */
+export function orbitState(mu, a, e, argPeriapsis, trueAnomaly) {
+  const p = a * (1 - e * e);
+  const r = p / (1 + e * Math.cos(trueAnomaly));
+  const angle = argPeriapsis + trueAnomaly;
+  // Radial and transverse speed from the vis-viva / angular momentum pair.
+  const k = Math.sqrt(mu / p);
+  const vr = k * e * Math.sin(trueAnomaly);
+  const vt = k * (1 + e * Math.cos(trueAnomaly));
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return { x: r * c, y: r * s, vx: vr * c - vt * s, vy: vr * s + vt * c };
+}
+
+/**
+ * Orbit of the rocket around its dominant body.
+ *
+ * Returns { body (planet or null for the sun), name, altitude, speed,
+ * ...orbitalElements } where altitude is above the body's surface and speed
+ * is relative to the body.
+ */
+export function rocketOrbit(L, planets, rocket) {
+  const body = dominantBody(L, planets, rocket.x, rocket.y);
+  const bx = body ? body.x : 0;
+  const by = body ? body.y : 0;
+  const bvx = body ? body.vx : 0;
+  const bvy = body ? body.vy : 0;
+  const mu = L.G * (body ? body.mass : L.SUN_MASS);
+  const rx = rocket.x - bx;
+  const ry = rocket.y - by;
+  const vx = rocket.vx - bvx;
+  const vy = rocket.vy - bvy;
+  return {
+    body,
+    name: body ? body.name : 'Sun',
+    altitude: Math.hypot(rx, ry) - (body ? body.radius : L.SUN_RADIUS),
+    speed: Math.hypot(vx, vy),
+    ...orbitalElements(mu, rx, ry, vx, vy),
+  };
+}
+
+// Stumpff functions C(z) and S(z) of the universal-variable formulation,
+// with series expansions near z = 0 where the closed forms cancel badly.
+function stumpffC(z) {
+  if (z > 1e-6) return (1 - Math.cos(Math.sqrt(z))) / z;
+  if (z < -1e-6) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+  return 1 / 2 - z / 24 + z * z / 720;
+}
+
+function stumpffS(z) {
+  if (z > 1e-6) {
+    const s = Math.sqrt(z);
+    return (s - Math.sin(s)) / (s * s * s);
+  }
+  if (z < -1e-6) {
+    const s = Math.sqrt(-z);
+    return (Math.sinh(s) - s) / (s * s * s);
+  }
+  return 1 / 6 - z / 120 + z * z / 5040;
+}
+
+/**
+ * Move a body dt seconds along its two-body orbit (any conic) around a
+ * central mass with gravitational parameter mu, starting from relative
+ * position (rx, ry) and velocity (vx, vy). Exact up to solver tolerance,
+ * however large dt is, which is what on-rails time warp needs.
+ *
+ * Returns { rx, ry, vx, vy }.
+ */
+export function propagateKepler(mu, rx, ry, vx, vy, dt) {
+  const r0 = Math.hypot(rx, ry);
+  const v2 = vx * vx + vy * vy;
+  const rv = rx * vx + ry * vy;
+  const sqrtMu = Math.sqrt(mu);
+  const alpha = 2 / r0 - v2 / mu; // 1/a: > 0 ellipse, < 0 hyperbola
+
+  // Whole revolutions change nothing; dropping them keeps Newton well-behaved.
+  if (alpha > 1e-12) {
+    const period = TWO_PI / Math.sqrt(mu * alpha * alpha * alpha);
+    dt %= period;
+  }
+  if (dt === 0) return { rx, ry, vx, vy };
+
+  // Initial guess for the universal anomaly chi (Vallado).
+  let chi;
+  if (alpha > 1e-12) {
+    chi = sqrtMu * dt * alpha;
+  } else if (alpha < -1e-12) {
+    const a = 1 / alpha;
+    const sign = Math.sign(dt);
+    const arg = (-2 * mu * alpha * dt)
+      / (rv + sign * Math.sqrt(-mu * a) * (1 - r0 * alpha));
+    chi = arg > 0 ? sign * Math.sqrt(-a) * Math.log(arg) : sqrtMu * dt / r0;
+  } else {
+    chi = sqrtMu * dt / r0;
+  }
+
+  // Newton on the universal Kepler equation.
+  let c = 0;
+  let s = 0;
+  for (let i = 0; i < 50; i++) {
+    const chi2 = chi * chi;
+    const z = alpha * chi2;
+    c = stumpffC(z);
+    s = stumpffS(z);
+    const f = rv / sqrtMu * chi2 * c + (1 - alpha * r0) * chi2 * chi * s + r0 * chi - sqrtMu * dt;
+    const df = rv / sqrtMu * chi * (1 - z * s) + (1 - alpha * r0) * chi2 * c + r0;
+    const d = f / df;
+    chi -= d;
+    if (Math.abs(d) <= 1e-12 * Math.max(1, Math.abs(chi))) break;
+  }
+  const chi2 = chi * chi;
+  c = stumpffC(alpha * chi2);
+  s = stumpffS(alpha * chi2);
+
+  // Lagrange coefficients.
+  const f = 1 - chi2 / r0 * c;
+  const g = dt - chi2 * chi / sqrtMu * s;
+  const nx = f * rx + g * vx;
+  const ny = f * ry + g * vy;
+  const r = Math.hypot(nx, ny);
+  const fDot = sqrtMu / (r * r0) * (alpha * chi2 * chi * s - chi);
+  const gDot = 1 - chi2 / r * c;
+  return { rx: nx, ry: ny, vx: fDot * rx + gDot * vx, vy: fDot * ry + gDot * vy };
+}
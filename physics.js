@@ -6,13 +6,20 @@
 export const LEVELS = {
   tutorial: {
     name: 'Tutorial',
-    description: 'Small system, easy orbits',
+    description: 'Small system, easy orbits. Learn the controls, then land on Earth and Mars.',
     G: 500,
     SUN_MASS: 10000,
+    // Wet mass: dry mass plus a full tank of ROCKET_FUEL_MASS propellant.
     ROCKET_MASS: 1,
     // Thrust acceleration (ROCKET_THRUST / ROCKET_MASS) is tuned to be only a
     // little stronger than surface gravity so escaping takes sustained thrust.
     ROCKET_THRUST: 60,
+    // Propellant and specific impulse (seconds, see G0). Leave ROCKET_FUEL_MASS
+    // out for unlimited fuel. Full tank is ~400 delta-v, plenty for Mars and back.
+    ROCKET_FUEL_MASS: 0.6,
+    ROCKET_ISP: 45,
+    // Propellant mass per second refilled while landed (0 = never).
+    REFUEL_RATE: 0.1,
     ROCKET_ROTATION_SPEED: 3,
     SUN_RADIUS: 30,
     // Keep the rocket visually/physically small relative to the planet.
@@ -25,6 +32,10 @@ export const LEVELS = {
     STAR_SPREAD: 4000,
     // Max relative speed for safe landing (more forgiving).
     LANDING_SPEED: 30,
+    // Integration scheme, see INTEGRATORS below.
+    INTEGRATOR: 'verlet',
+    // Seconds of simulated time the predicted trajectory looks ahead.
+    TRAJECTORY_TIME: 30,
 
     // Planets orbiting the sun at (0,0). The first planet is the "home" planet
     // the rocket starts near.
@@ -32,15 +43,25 @@ export const LEVELS = {
       { name: 'Earth', color: 0x44aacc, mass: 10, radius: 10, orbitalRadius: 300 },
       { name: 'Mars', color: 0xcc6644, mass: 6, radius: 7, orbitalRadius: 480 },
     ],
+
+    // Ordered mission goals, see objectives.js.
+    OBJECTIVES: [
+      { type: 'land', body: 'Earth', label: 'Touch down on Earth' },
+      { type: 'land', body: 'Mars' },
+    ],
   },
   realistic: {
     name: 'Realistic',
-    description: 'Proportional sun & earth, vast distances',
+    description: 'Proportional sun & earth with vast distances. Land, launch back to orbit, then fly to Mars and home.',
     G: 500,
     SUN_MASS: 100000,
     // Tune for "barely able to leave Earth".
     ROCKET_MASS: 1,
     ROCKET_THRUST: 95,
+    // ~150 delta-v: enough for a Mars transfer if you don't waste it.
+    ROCKET_FUEL_MASS: 0.5,
+    ROCKET_ISP: 22,
+    REFUEL_RATE: 0.05,
     ROCKET_ROTATION_SPEED: 3,
     SUN_RADIUS: 100,
     ROCKET_SIZE: 0.12,
@@ -50,17 +71,115 @@ export const LEVELS = {
     MAX_ZOOM: 120,
     STAR_SPREAD: 20000,
     LANDING_SPEED: 12,
+    // Long coasts at high time scale: RK4 keeps the small rocket orbits tight.
+    INTEGRATOR: 'rk4',
+    TRAJECTORY_TIME: 120,
+
+    PLANETS: [
+      // rotationPeriod: seconds per turn of the surface; Venus spins backwards.
+      { name: 'Earth', color: 0x44aacc, mass: 10, radius: 8, orbitalRadius: 3000, rotationPeriod: 40 },
+      { name: 'Venus', color: 0xd6c26a, mass: 9, radius: 7, orbitalRadius: 2200, rotationPeriod: -120 },
+      { name: 'Mars', color: 0xcc6644, mass: 6, radius: 6, orbitalRadius: 4200, rotationPeriod: 42 },
+    ],
+
+    // The rocket starts in orbit, so the first goal is getting down and back up.
+    OBJECTIVES: [
+      { type: 'land', body: 'Earth', label: 'Touch down on Earth' },
+      { type: 'orbit', body: 'Earth', minAltitude: 4, hold: 10, label: 'Launch back into Earth orbit' },
+      { type: 'land', body: 'Mars' },
+      { type: 'return' },
+    ],
+  },
+  earthMoon: {
+    name: 'Earth & Moon',
+    description: 'A planet with a moon, far from the sun. Loop around the Moon on a free return, then brake in the air and land.',
+    G: 500,
+    SUN_MASS: 100000,
+    ROCKET_MASS: 1,
+    ROCKET_THRUST: 95,
+    ROCKET_FUEL_MASS: 0.5,
+    ROCKET_ISP: 22,
+    REFUEL_RATE: 0.05,
+    ROCKET_ROTATION_SPEED: 3,
+    SUN_RADIUS: 100,
+    ROCKET_SIZE: 0.12,
+    ROCKET_PLANET_ORBIT_RADIUS: 14,
+    FRUSTUM_SIZE: 80,
+    MIN_ZOOM: 0.005,
+    MAX_ZOOM: 60,
+    STAR_SPREAD: 20000,
+    LANDING_SPEED: 12,
+    INTEGRATOR: 'rk4',
+    // Long enough to see the whole loop around the Moon and back.
+    TRAJECTORY_TIME: 40,
+
+    // The Moon orbits Earth (parent); far out, the sun barely disturbs it.
+    PLANETS: [
+      // Thick enough to aerobrake a lunar return, thin enough to launch through.
+      {
+        name: 'Earth', color: 0x44aacc, mass: 10, radius: 8, orbitalRadius: 6000, rotationPeriod: 40,
+        atmosphere: { height: 3, density: 0.4 },
+      },
+      { name: 'Moon', color: 0xbbbbbb, mass: 0.5, radius: 2.5, orbitalRadius: 45, trueAnomaly: 2.2, parent: 'Earth' },
+    ],
+
+    OBJECTIVES: [
+      { type: 'approach', body: 'Moon', distance: 10, label: 'Swing around the Moon' },
+      { type: 'return', label: 'Come home to Earth' },
+    ],
+  },
+  rendezvous: {
+    name: 'Rendezvous',
+    description: 'A station circles Earth above you. Catch up with it, match its speed and dock nose first, then land.',
+    G: 500,
+    SUN_MASS: 100000,
+    ROCKET_MASS: 1,
+    ROCKET_THRUST: 95,
+    ROCKET_FUEL_MASS: 0.5,
+    ROCKET_ISP: 22,
+    REFUEL_RATE: 0.05,
+    ROCKET_ROTATION_SPEED: 3,
+    SUN_RADIUS: 100,
+    ROCKET_SIZE: 0.12,
+    ROCKET_PLANET_ORBIT_RADIUS: 14,
+    FRUSTUM_SIZE: 40,
+    MIN_ZOOM: 0.005,
+    MAX_ZOOM: 200,
+    STAR_SPREAD: 20000,
+    LANDING_SPEED: 12,
+    // Relative speed and nose misalignment (radians) still good for docking.
+    DOCKING_SPEED: 2,
+    DOCKING_ANGLE: 0.35,
+    INTEGRATOR: 'rk4',
+    TRAJECTORY_TIME: 20,
 
     PLANETS: [
-      { name: 'Earth', color: 0x44aacc, mass: 10, radius: 8, orbitalRadius: 3000 },
-      { name: 'Venus', color: 0xd6c26a, mass: 9, radius: 7, orbitalRadius: 2200 },
-      { name: 'Mars', color: 0xcc6644, mass: 6, radius: 6, orbitalRadius: 4200 },
+      { name: 'Earth', color: 0x44aacc, mass: 10, radius: 8, orbitalRadius: 6000, rotationPeriod: 40 },
+    ],
+    // A quarter turn ahead, on a higher orbit: it pulls away until you climb.
+    STATIONS: [
+      { name: 'Station', color: 0xdddddd, radius: 0.3, orbitalRadius: 18, trueAnomaly: 1.6, parent: 'Earth' },
+    ],
+
+    OBJECTIVES: [
+      { type: 'approach', body: 'Station', distance: 3, label: 'Close in on the station' },
+      { type: 'dock', body: 'Station' },
+      { type: 'return', label: 'Land back on Earth' },
     ],
   },
 };
 
-// Derived values added to each level
-for (const lvl of Object.values(LEVELS)) {
+// Keys deriveLevel() adds; level files never need to contain them.
+export const DERIVED_KEYS = [
+  'PLANET_MASS', 'PLANET_RADIUS', 'PLANET_ORBITAL_RADIUS', 'PLANET_INITIAL_VELOCITY',
+  'SUN_COLLISION_RADIUS', 'PLANET_COLLISION_RADIUS',
+];
+export const DERIVED_PLANET_KEYS = ['initialVelocity', 'collisionRadius'];
+
+/**
+ * Add derived values to a level preset (in place) and return it.
+ */
+export function deriveLevel(lvl) {
   // Back-compat: if older single-planet fields exist, synthesize PLANETS.
   if (!lvl.PLANETS) {
     lvl.PLANETS = [{
@@ -72,6 +191,9 @@ for (const lvl of Object.values(LEVELS)) {
     }];
   }
 
+  // Symplectic by default so orbits stay closed over long runs.
+  lvl.INTEGRATOR ??= 'verlet';
+
   // Keep these for any callers that still reference them.
   const home = lvl.PLANETS[0];
   lvl.PLANET_MASS = home.mass;
@@ -83,17 +205,36 @@ for (const lvl of Object.values(LEVELS)) {
   lvl.SUN_COLLISION_RADIUS = lvl.SUN_RADIUS;
   lvl.PLANET_COLLISION_RADIUS = lvl.PLANET_RADIUS;
 
-  // Derived per-planet values.
+  // Derived per-planet values. orbitalRadius is the semi-major axis, so the
+  // starting speed (vis-viva, relative to the sun or the parent of a moon)
+  // depends on where on an eccentric orbit it starts.
   for (const p of lvl.PLANETS) {
-    p.initialVelocity = Math.sqrt(lvl.G * lvl.SUN_MASS / p.orbitalRadius);
+    const parent = lvl.PLANETS.find(q => q.name === p.parent);
+    const e = p.eccentricity ?? 0;
+    const r = p.orbitalRadius * (1 - e * e) / (1 + e * Math.cos(p.trueAnomaly ?? 0));
+    p.initialVelocity = Math.sqrt(lvl.G * (parent ? parent.mass : lvl.SUN_MASS) * (2 / r - 1 / p.orbitalRadius));
     p.collisionRadius = p.radius;
   }
+  return lvl;
 }
 
+// Derived values added to each level
+for (const lvl of Object.values(LEVELS)) deriveLevel(lvl);
+
 // =============================================================
 // Physics functions
 // =============================================================
 
+// Standard gravity for converting specific impulse (s) to exhaust velocity.
+export const G0 = 9.81;
+
+/**
+ * Tsiolkovsky rocket equation: delta-v from burning wetMass down to dryMass.
+ */
+export function deltaV(isp, wetMass, dryMass) {
+  return isp * G0 * Math.log(wetMass / dryMass);
+}
+
 /**
  * Calculate gravitational acceleration on body B toward body A.
  * Returns { fx, fy } - acceleration components.
@@ -123,6 +264,18 @@ export function integrate(body, ax, ay, dt) {
   body.y += body.vy * dt;
 }
 
+/**
+ * Air density of a planet atmosphere { height, density, scaleHeight } at an
+ * altitude above the surface: `density` at the surface, falling off
+ * exponentially (scale height defaults to a fifth of the height) and zero
+ * above the top.
+ */
+export function airDensity(atmosphere, altitude) {
+  if (!atmosphere || altitude >= atmosphere.height) return 0;
+  const scale = atmosphere.scaleHeight ?? atmosphere.height / 5;
+  return atmosphere.density * Math.exp(-Math.max(0, altitude) / scale);
+}
+
 /**
  * Check if two positions are within collision distance.
  */
@@ -131,3 +284,119 @@ export function checkCollision(x1, y1, r1, x2, y2, r2) {
   const dy = y1 - y2;
   return Math.sqrt(dx * dx + dy * dy) < (r1 + r2);
 }
+
+/**
+ * Swept collision over one step: a circle of radius r1 moving in a straight
+ * line from (x0, y0) to (x1, y1) against one of radius r2 moving from
+ * (cx0, cy0) to (cx1, cy1) at the same time. Returns the fraction of the
+ * step (0..1) at which they first touch, 0 if they overlap at both ends, or
+ * null if they stay apart. Fast movers can't pass through a
+ * small body between two checks.
+ */
+export function sweptCollision(x0, y0, x1, y1, r1, cx0, cy0, cx1, cy1, r2) {
+  // The rocket's path relative to the other body: p0 + t * (dx, dy).
+  const px = x0 - cx0;
+  const py = y0 - cy0;
+  const dx = (x1 - cx1) - px;
+  const dy = (y1 - cy1) - py;
+  const r = r1 + r2;
+  const c = px * px + py * py - r * r;
+  // Starting inside (resting on the surface, say) only counts if it stays.
+  if (c < 0) return Math.hypot(px + dx, py + dy) < r ? 0 : null;
+  const a = dx * dx + dy * dy;
+  const b = 2 * (px * dx + py * dy);
+  const disc = b * b - 4 * a * c;
+  // Not moving closer, or passing wide.
+  if (a === 0 || b >= 0 || disc < 0) return null;
+  const t = (-b - Math.sqrt(disc)) / (2 * a);
+  return t <= 1 ? t : null;
+}
+
+// =============================================================
+// Integrators
+// =============================================================
+//
+// Each integrator advances an array of bodies { x, y, vx, vy } in-place by dt.
+// `accel(states)` returns [{ ax, ay }, ...] for states shaped like the bodies,
+// so the acceleration of every body can depend on where all the others are at
+// each sub-step (the rocket feels planets at their mid-step positions).
+
+function snapshot(bodies) {
+  return bodies.map(b => ({ x: b.x, y: b.y, vx: b.vx, vy: b.vy }));
+}
+
+// State s + h * derivative, where the derivative of (x, v) is (v, a).
+function advance(states, vels, accs, h) {
+  return states.map((s, i) => ({
+    x: s.x + vels[i].vx * h,
+    y: s.y + vels[i].vy * h,
+    vx: s.vx + accs[i].ax * h,
+    vy: s.vy + accs[i].ay * h,
+  }));
+}
+
+export const INTEGRATORS = {
+  /** Semi-implicit Euler (first order): kick with a(x), then drift. */
+  euler(bodies, accel, dt) {
+    const a = accel(snapshot(bodies));
+    bodies.forEach((b, i) => integrate(b, a[i].ax, a[i].ay, dt));
+  },
+
+  /** Velocity Verlet (second order, symplectic). */
+  verlet(bodies, accel, dt) {
+    const a0 = accel(snapshot(bodies));
+    bodies.forEach((b, i) => {
+      b.x += b.vx * dt + 0.5 * a0[i].ax * dt * dt;
+      b.y += b.vy * dt + 0.5 * a0[i].ay * dt * dt;
+    });
+    const a1 = accel(snapshot(bodies));
+    bodies.forEach((b, i) => {
+      b.vx += 0.5 * (a0[i].ax + a1[i].ax) * dt;
+      b.vy += 0.5 * (a0[i].ay + a1[i].ay) * dt;
+    });
+  },
+
+  /** Kick-drift-kick leapfrog (second order, symplectic). */
+  leapfrog(bodies, accel, dt) {
+    const kick = (h) => {
+      const a = accel(snapshot(bodies));
+      bodies.forEach((b, i) => {
+        b.vx += a[i].ax * h;
+        b.vy += a[i].ay * h;
+      });
+    };
+    kick(dt / 2);
+    for (const b of bodies) {
+      b.x += b.vx * dt;
+      b.y += b.vy * dt;
+    }
+    kick(dt / 2);
+  },
+
+  /** Classic Runge-Kutta (fourth order). */
+  rk4(bodies, accel, dt) {
+    const s0 = snapshot(bodies);
+    const a1 = accel(s0);
+    const s1 = advance(s0, s0, a1, dt / 2);
+    const a2 = accel(s1);
+    const s2 = advance(s0, s1, a2, dt / 2);
+    const a3 = accel(s2);
+    const s3 = advance(s0, s2, a3, dt);
+    const a4 = accel(s3);
+    bodies.forEach((b, i) => {
+      b.x += (s0[i].vx + 2 * s1[i].vx + 2 * s2[i].vx + s3[i].vx) * dt / 6;
+      b.y += (s0[i].vy + 2 * s1[i].vy + 2 * s2[i].vy + s3[i].vy) * dt / 6;
+      b.vx += (a1[i].ax + 2 * a2[i].ax + 2 * a3[i].ax + a4[i].ax) * dt / 6;
+      b.vy += (a1[i].ay + 2 * a2[i].ay + 2 * a3[i].ay + a4[i].ay) * dt / 6;
+    });
+  },
+};
+
+/**
+ * Advance bodies by dt with the named integrator from INTEGRATORS.
+ */
+export function integrateBodies(method, bodies, accel, dt) {
+  const step = INTEGRATORS[method];
+  if (!step) throw new Error(`Unknown integrator "${method}"`);
+  step(bodies, accel, dt);
+}
@@ -0,0 +1,169 @@
+// =============================================================
+// replay.js - Deterministic flight recording and playback
+// =============================================================
+//
+// The simulation only changes through sim.step(input), warpOnRails(sim,
+// steps) (see warp.js) and sim.respawn(), so a flight is fully described by
+// where it started and which inputs were held at which step. A replay is
+// plain data:
+//
+//   {
+//     version: 1,
+//     start,     // saved state (see savegame.js) the recording began from,
+//                // including the level
+//     steps,     // sim.stepCount the recording ended at
+//     events,    // [{ step, thrust, rotate, sas, sasTarget } (thrust is the
+//                //  throttle 0..1, true/false in older replays)
+//                //  | { step, timeScale } | { step, respawn: true }
+//                //  | { step, warp }] in order; each applies just before
+//                // sim.stepCount reaches step + 1, warp events (on-rails
+//                // time warp by that many steps) instead of the step
+//   }
+//
+// Time-scale events don't affect the simulation; playback uses them to run
+// at the speed the flight was flown.
+
+import { parseJson, checkState } from './savegame.js';
+import { warpOnRails } from './warp.js';
+
+export const REPLAY_VERSION = 1;
+// Steps between cached states for scrubbing (5 simulated seconds).
+const CHECKPOINT_STEPS = 600;
+
+// sim.step() input with every field present, as stored in events.
+const NO_INPUT = { thrust: 0, rotate: 0, sas: null, sasTarget: null };
+const fullInput = (input) => ({
+  thrust: Number(input.thrust ?? 0),
+  rotate: input.rotate ?? 0,
+  sas: input.sas ?? null,
+  sasTarget: input.sasTarget ?? null,
+});
+
+/**
+ * Record inputs fed to `sim` from now on. `start` is the saved state of the
+ * current moment. Call record() before every sim.step() and warpOnRails(),
+ * and warp() after warpOnRails() with the steps it warped.
+ */
+export function createRecorder(sim, start) {
+  const events = [];
+  let held = NO_INPUT;
+  let timeScale = start.timeScale;
+
+  return {
+    /** Note the input and time scale used for the coming step (changes only). */
+    record(input, scale) {
+      if (scale !== timeScale) {
+        timeScale = scale;
+        events.push({ step: sim.stepCount, timeScale });
+      }
+      const next = fullInput(input);
+      if (Object.keys(next).every(k => next[k] === held[k])) return;
+      held = next;
+      events.push({ step: sim.stepCount, ...held });
+    },
+    respawn() {
+      events.push({ step: sim.stepCount, respawn: true });
+    },
+    warp(steps) {
+      events.push({ step: sim.stepCount - steps, warp: steps });
+    },
+    /** The flight so far as a replay. */
+    replay() {
+      return { version: REPLAY_VERSION, start, steps: sim.stepCount, events: [...events] };
+    },
+  };
+}
+
+/** Parse and sanity-check replay JSON. */
+export function parseReplay(text) {
+  const replay = parseJson(text, 'Replay');
+  if (replay?.version !== REPLAY_VERSION || !Array.isArray(replay.events) || !(replay.steps >= 0)) {
+    throw new Error('Not a replay (or from an incompatible version)');
+  }
+  checkState(replay.start);
+  return replay;
+}
+
+/**
+ * Drive `sim` and `mission`, already restored to replay.start, from the
+ * replay's inputs. advance() runs one step (or one recorded on-rails warp)
+ * and returns how many steps that was; seek(step) jumps anywhere by
+ * re-simulating from the nearest cached state.
+ *
+ * Returns { startStep, endStep, advance, seek, input, timeScale, done }.
+ */
+export function createPlayer(replay, sim, mission) {
+  const { events } = replay;
+  const startStep = sim.stepCount;
+  const endStep = replay.steps;
+  const checkpoints = new Map();
+  let next = 0; // index of the first event not applied yet
+  let input = NO_INPUT;
+  let timeScale = replay.start.timeScale || 1;
+
+  // At most one cached state per CHECKPOINT_STEPS window: warps jump over
+  // window starts, so keep the first state reached in each.
+  function checkpoint() {
+    const bucket = Math.floor(sim.stepCount / CHECKPOINT_STEPS);
+    if (checkpoints.has(bucket)) return;
+    checkpoints.set(bucket, {
+      step: sim.stepCount, sim: sim.snapshot(), mission: mission.snapshot(),
+    });
+  }
+
+  function applyEvent(ev) {
+    if (ev.respawn) sim.respawn();
+    else if (ev.warp) warpOnRails(sim, ev.warp);
+    else if (ev.timeScale !== undefined) timeScale = ev.timeScale;
+    else input = fullInput(ev);
+  }
+
+  function advance() {
+    const from = sim.stepCount;
+    if (from >= endStep) return 0;
+    while (next < events.length && events[next].step <= sim.stepCount) {
+      const ev = events[next++];
+      applyEvent(ev);
+      // One warp per advance, with a mission update after it as when flown.
+      if (ev.warp) break;
+    }
+    if (sim.stepCount === from) sim.step(input);
+    mission.update();
+    checkpoint();
+    return sim.stepCount - from;
+  }
+
+  function seek(step) {
+    const target = Math.max(startStep, Math.min(endStep, Math.round(step)));
+    let cp = null;
+    for (const c of checkpoints.values()) {
+      if (c.step <= target && (!cp || c.step > cp.step)) cp = c;
+    }
+    const from = cp.step;
+    sim.restore(cp.sim);
+    mission.restore(cp.mission);
+    // Replay the non-simulation state (held input, time scale) up to there;
+    // respawns and warps are already part of the cached state.
+    input = NO_INPUT;
+    timeScale = replay.start.timeScale || 1;
+    next = 0;
+    while (next < events.length && events[next].step < from) {
+      const ev = events[next++];
+      if (!ev.respawn && !ev.warp) applyEvent(ev);
+    }
+    while (sim.stepCount < target) advance();
+  }
+
+  checkpoint();
+  return {
+    startStep,
+    endStep,
+    advance,
+    seek,
+    /** Input held at the current step. */
+    input: () => input,
+    /** Time scale the flight was flown at around the current step (never 0). */
+    timeScale: () => timeScale || 1,
+    done: () => sim.stepCount >= endStep,
+  };
+}
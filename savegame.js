@@ -0,0 +1,156 @@
+// =============================================================
+// savegame.js - Saved game states, save slots and state links
+// =============================================================
+//
+// A saved state is plain data:
+//
+//   {
+//     version: 1,
+//     levelId,              // id in LEVELS when saved
+//     level,                // level file data (see levels.js); left out of
+//                           // links for built-in levels
+//     sim,                  // sim.snapshot(): time, planets, stations, rocket
+//     mission,              // mission.snapshot()
+//     maneuver,             // null or { t, prograde, radial }
+//     timeScale,
+//     sas: { mode, target },  // autopilot mode and target id (targets.js)
+//     camera: { x, y, zoom, focus, frame },  // focus 'rocket', 'sun' or a
+//                                           // planet index; frame: planet
+//                                           // index of the co-rotating view
+//     savedAt,              // ISO date (slots and files only)
+//   }
+//
+// game.js builds and applies it; this module stores, encodes and checks it.
+
+import { LEVELS } from './physics.js?v=2';
+import { exportLevel, parseLevel, registerLevel, isBuiltinLevel } from './levels.js';
+
+export const SAVE_VERSION = 1;
+export const SAVE_SLOTS = 5;
+const STORAGE_KEY = 'space-play.saves';
+const LINK_PARAM = 'state';
+
+// JSON has no Infinity (unlimited fuel); spell it out.
+const replacer = (key, value) => (value === Infinity ? 'Infinity' : value);
+const reviver = (key, value) => (value === 'Infinity' ? Infinity : value);
+
+/** Level file data of a registered level, for embedding in a save. */
+export function levelData(levelId) {
+  return JSON.parse(exportLevel(LEVELS[levelId]));
+}
+
+/** Save as pretty-printed JSON (for files; also used for replays). */
+export function stringifyState(state) {
+  return JSON.stringify(state, replacer, 2);
+}
+
+/** JSON.parse that brings back the Infinity values stringifyState wrote. */
+export function parseJson(text, what = 'Save') {
+  try {
+    return JSON.parse(text, reviver);
+  } catch (err) {
+    throw new Error(`${what} is not valid JSON: ${err.message}`);
+  }
+}
+
+/** Throw unless `state` looks like a save this version understands. */
+export function checkState(state) {
+  if (!state || state.version !== SAVE_VERSION || !state.sim?.rocket || !Array.isArray(state.sim.planets)) {
+    throw new Error('Not a saved game (or from an incompatible version)');
+  }
+  return state;
+}
+
+/** Parse and sanity-check saved state JSON. */
+export function parseState(text) {
+  return checkState(parseJson(text));
+}
+
+/**
+ * Make sure the save's level is registered and return its id: built-in
+ * levels by id, otherwise the embedded level data (reusing an identical
+ * level that is already registered).
+ */
+export function resolveLevel(state) {
+  let id = state.levelId;
+  if (state.level) {
+    const level = parseLevel(state.level);
+    if (!Object.hasOwn(LEVELS, id) || exportLevel(LEVELS[id]) !== exportLevel(level)) {
+      id = registerLevel(level, id);
+    }
+  } else if (!isBuiltinLevel(id)) {
+    throw new Error(`Save refers to unknown level "${id}"`);
+  }
+  if (LEVELS[id].PLANETS.length !== state.sim.planets.length
+    || (LEVELS[id].STATIONS?.length ?? 0) !== (state.sim.stations?.length ?? 0)) {
+    throw new Error('Save does not match its level');
+  }
+  return id;
+}
+
+// --- Slots (localStorage) ---
+
+/** Array of SAVE_SLOTS saved states (null for empty slots). */
+export function listSlots() {
+  let slots = [];
+  try {
+    slots = JSON.parse(localStorage.getItem(STORAGE_KEY), reviver) ?? [];
+  } catch {
+    // Corrupt storage counts as empty.
+  }
+  return Array.from({ length: SAVE_SLOTS }, (_, i) => slots[i] ?? null);
+}
+
+export function saveSlot(index, state) {
+  const slots = listSlots();
+  slots[index] = state;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(slots, replacer));
+}
+
+export function clearSlot(index) {
+  saveSlot(index, null);
+}
+
+// --- Links ---
+
+// deflate-raw + base64url keeps a built-in level state to a few hundred chars.
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** Compact URL-safe encoding of a state (without built-in level data). */
+export async function encodeState(state) {
+  const compact = { ...state, savedAt: undefined };
+  if (isBuiltinLevel(state.levelId)) delete compact.level;
+  const json = JSON.stringify(compact, replacer);
+  const bytes = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export async function decodeState(encoded) {
+  let bytes;
+  try {
+    const bin = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    bytes = await pipeBytes(Uint8Array.from(bin, c => c.charCodeAt(0)), new DecompressionStream('deflate-raw'));
+  } catch {
+    throw new Error('State link is damaged');
+  }
+  return parseState(new TextDecoder().decode(bytes));
+}
+
+/** Link to the current page that opens `state` (see stateFromLocation). */
+export async function stateLink(state) {
+  const url = new URL(location.href);
+  url.hash = `${LINK_PARAM}=${await encodeState(state)}`;
+  return url.href;
+}
+
+/** State encoded in the page's #state=... hash, or null. */
+export async function stateFromLocation() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const encoded = params.get(LINK_PARAM);
+  return encoded ? decodeState(encoded) : null;
+}
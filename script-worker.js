@@ -0,0 +1,116 @@
+// =============================================================
+// script-worker.js - Sandbox for a flight-computer script
+// =============================================================
+//
+// A classic worker started by startScript() in scripting.js. The script's
+// source comes in an 'init' message and runs once with `game` and `log` in
+// scope; after that every 'step' message (the state after a physics step
+// and the events during it) calls its listeners and is answered with the
+// controls they set:
+//
+//   page -> worker   { type: 'init', source }
+//                    { type: 'step', state, events: [{ type, detail }] }
+//   worker -> page   { type: 'control', throttle, heading, timeScale }
+//                    { type: 'log', text }
+//                    { type: 'error', message }
+
+'use strict';
+
+// Everything in a closure, out of reach of the script: top-level names in a
+// classic worker would be globals it could read or replace.
+(() => {
+  const post = self.postMessage.bind(self);
+
+  // Scripts fly the rocket; they don't talk to the network. What enforces
+  // that is the Content-Security-Policy this file is served with (see
+  // server/relay.mjs). On top of it the usual names are blanked wherever
+  // they live on self's prototype chain (fetch is inherited from
+  // WorkerGlobalScope.prototype), nested workers included.
+  const BLOCKED = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts', 'Worker', 'SharedWorker',
+    'indexedDB', 'caches',
+  ];
+  for (let obj = self; obj; obj = Object.getPrototypeOf(obj)) {
+    for (const name of BLOCKED) {
+      if (obj !== self && !Object.hasOwn(obj, name)) continue;
+      try {
+        Object.defineProperty(obj, name, { value: undefined, configurable: false, writable: false });
+      } catch {
+        // Not present in this browser.
+      }
+    }
+  }
+
+  const listeners = {};
+  let state = null;
+  let throttle = null;
+  let heading = null;
+  // Only sent for the step it was set in.
+  let timeScale = null;
+
+  function emit(type, detail) {
+    for (const fn of listeners[type] ?? []) fn(detail);
+  }
+
+  function format(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number') return String(Math.round(value * 1000) / 1000);
+    try {
+      return JSON.stringify(value);
+    } catch {
+      return String(value);
+    }
+  }
+
+  function log(...args) {
+    post({ type: 'log', text: args.map(format).join(' ') });
+  }
+
+  const game = Object.freeze({
+    state: () => state,
+    setThrottle(t) {
+      throttle = t === null ? null : Math.max(0, Math.min(1, Number(t))) || 0;
+    },
+    setHeading(a) {
+      heading = a === null || !Number.isFinite(Number(a)) ? null : Number(a);
+    },
+    setTimeScale(s) {
+      timeScale = Number(s);
+      return timeScale;
+    },
+    on(type, fn) {
+      (listeners[type] ??= []).push(fn);
+      return () => {
+        const list = listeners[type];
+        const i = list.indexOf(fn);
+        if (i >= 0) list.splice(i, 1);
+      };
+    },
+    release() {
+      throttle = null;
+      heading = null;
+    },
+  });
+
+  function describe(err) {
+    return err instanceof Error ? `${err.name}: ${err.message}` : `Uncaught ${format(err)}`;
+  }
+
+  self.addEventListener('message', (e) => {
+    const msg = e.data;
+    try {
+      if (msg.type === 'init') {
+        // Compiled in the global scope: it sees game and log, none of this.
+        new Function('game', 'log', `'use strict';\n${msg.source}`)(game, log);
+      } else if (msg.type === 'step') {
+        state = msg.state;
+        for (const { type, detail } of msg.events) emit(type, detail);
+        emit('step', state);
+        post({ type: 'control', throttle, heading, timeScale });
+        timeScale = null;
+      }
+    } catch (err) {
+      post({ type: 'error', message: describe(err) });
+    }
+  });
+})();
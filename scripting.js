@@ -0,0 +1,227 @@
+// =============================================================
+// scripting.js - Game API and flight-computer scripts
+// =============================================================
+//
+// startGame() returns { stop, api }; the running game's api is also
+// window.game, for the browser console. The api:
+//
+//   api.state()             plain-data snapshot (see gameState)
+//   api.setThrottle(t)      0..1, or null to hand the throttle back
+//   api.setHeading(a)       turn to and hold heading a (radians, like
+//                           rocket.angle, 0 = +X, counterclockwise), or null
+//   api.setTimeScale(s)     nearest offered time scale; returns it
+//   api.on(type, fn)        'step' after every physics step, or a
+//                           simulation event: 'landed', 'tookOff', 'docked',
+//                           'undocked', 'crashed', 'respawned', 'fuelEmpty',
+//                           'refueled' (fn gets { planet, station, cause,
+//                           relSpeed, impact } with bodies by name; impact
+//                           is the touchdown report, see checkCollisions in
+//                           simulation.js); returns an unsubscribe function
+//   api.release()           hand throttle and heading back to the pilot
+//
+// Throttle and heading go through sim.step() as ordinary input, so replays
+// reproduce scripted flights. The pilot still wins: held thrust adds to the
+// throttle and manual rotation overrides the heading.
+//
+// Flight-computer scripts (the in-game console) get the same api as `game`
+// plus log(...), in a Web Worker (script-worker.js) with no page access.
+// Served by server/relay.mjs the worker gets a Content-Security-Policy that
+// keeps it off the network; other servers need to send the same header
+// with script-worker.js. Scripts run in lockstep with the simulation: every
+// physics step waits for the script's answer to the state before it.
+//
+//   game.on('step', (s) => {
+//     game.setThrottle(s.rocket.vy < 0 ? 1 : 0);
+//   });
+
+const STORAGE_KEY = 'space-play.script';
+// A script that hasn't answered a step in this long is stopped (an endless
+// loop would otherwise hold the game forever).
+const SCRIPT_TIMEOUT_MS = 2000;
+
+/** Simulation events passed on to api and script listeners. */
+export const GAME_EVENTS = ['landed', 'tookOff', 'docked', 'undocked', 'crashed', 'respawned', 'fuelEmpty', 'refueled'];
+
+/** Starting point for the console: an orbit raise around the home planet. */
+export const EXAMPLE_SCRIPT = `// Orbit raise: point prograde (relative to the home planet) and
+// burn until the orbit's semi-major axis has grown RAISE times,
+// then coast. Change RAISE and press Run again.
+const RAISE = 1.5;
+let targetA = null;
+let done = false;
+
+game.on('step', (s) => {
+  const home = s.planets[0];
+  const mu = s.constants.G * home.mass;
+  const rx = s.rocket.x - home.x;
+  const ry = s.rocket.y - home.y;
+  const vx = s.rocket.vx - home.vx;
+  const vy = s.rocket.vy - home.vy;
+  // Vis-viva: v^2 = mu * (2 / r - 1 / a).
+  const a = 1 / (2 / Math.hypot(rx, ry) - (vx * vx + vy * vy) / mu);
+  const prograde = Math.atan2(vy, vx);
+  game.setHeading(prograde);
+  if (done) return;
+  if (targetA === null) {
+    targetA = a * RAISE;
+    log('Raising a from', a, 'to', targetA);
+  }
+  if (a < 0 || a >= targetA) {
+    done = true;
+    game.setThrottle(0);
+    log('Burn complete at T+' + s.time.toFixed(1) + 's, a =', a);
+    return;
+  }
+  // Only burn once lined up.
+  const off = Math.atan2(Math.sin(prograde - s.rocket.angle), Math.cos(prograde - s.rocket.angle));
+  game.setThrottle(Math.abs(off) < 0.05 ? 1 : 0);
+});
+
+game.on('crashed', (e) => log('Crashed:', e.cause));
+`;
+
+/** The console's script from last time, else the example. */
+export function loadScriptSource() {
+  return localStorage.getItem(STORAGE_KEY) ?? EXAMPLE_SCRIPT;
+}
+
+export function saveScriptSource(source) {
+  localStorage.setItem(STORAGE_KEY, source);
+}
+
+/** Simulation event detail with bodies replaced by their names. */
+export function eventDetail(detail) {
+  const out = { ...detail };
+  if (out.planet) out.planet = out.planet.name;
+  if (out.station) out.station = out.station.name;
+  return out;
+}
+
+/**
+ * Plain-data snapshot of `sim` for the api and scripts:
+ * { time, step, rocket, sun, planets, stations, constants } with positions
+ * and velocities in world units. rocket: { x, y, vx, vy, angle, throttle,
+ * thrusting, fuel, fuelCapacity, mass, heat, alive, landedOn, dockedWith }
+ * (the last two a planet or station name, or null). Planets turn at spin
+ * rad/s (counterclockwise), rotation so far. constants: G, FIXED_DT,
+ * ROCKET_THRUST, ROCKET_ROTATION_SPEED, LANDING_SPEED, LANDING_SIDE_SPEED,
+ * LANDING_ANGLE.
+ */
+export function gameState(sim, FIXED_DT) {
+  const { L, rocket, planets, stations } = sim;
+  return {
+    time: sim.time,
+    step: sim.stepCount,
+    rocket: {
+      x: rocket.x,
+      y: rocket.y,
+      vx: rocket.vx,
+      vy: rocket.vy,
+      angle: rocket.angle,
+      throttle: rocket.throttle,
+      thrusting: rocket.thrusting,
+      fuel: rocket.fuel,
+      fuelCapacity: sim.fuelCapacity,
+      mass: rocket.mass,
+      heat: rocket.heat,
+      alive: rocket.alive,
+      landedOn: rocket.alive && rocket.landed ? planets[rocket.landedPlanetIdx].name : null,
+      dockedWith: rocket.alive && rocket.docked ? stations[rocket.dockedStationIdx].name : null,
+    },
+    sun: { x: 0, y: 0, vx: 0, vy: 0, mass: L.SUN_MASS, radius: L.SUN_RADIUS },
+    planets: planets.map(p => ({
+      name: p.name,
+      x: p.x,
+      y: p.y,
+      vx: p.vx,
+      vy: p.vy,
+      mass: p.mass,
+      radius: p.radius,
+      parent: p.parent?.name ?? null,
+      atmosphere: p.atmosphere ? { ...p.atmosphere } : null,
+      spin: p.spin,
+      rotation: p.rotation,
+    })),
+    stations: stations.map(s => ({ name: s.name, x: s.x, y: s.y, vx: s.vx, vy: s.vy, radius: s.radius })),
+    constants: {
+      G: L.G,
+      FIXED_DT,
+      ROCKET_THRUST: L.ROCKET_THRUST,
+      ROCKET_ROTATION_SPEED: L.ROCKET_ROTATION_SPEED,
+      LANDING_SPEED: L.LANDING_SPEED,
+      LANDING_SIDE_SPEED: sim.landingSideSpeed,
+      LANDING_ANGLE: sim.landingAngle,
+    },
+  };
+}
+
+/**
+ * Start `source` in a fresh worker. Feed it with step(state, events) after
+ * every physics step and don't step again while `waiting`. handlers:
+ * { onControl({ throttle, heading, timeScale }) with the script's answer,
+ * onLog(text), onError(message) after which the script is gone }.
+ * Returns { waiting, step, overdue, stop }.
+ */
+export function startScript(source, handlers = {}) {
+  const worker = new Worker(new URL('./script-worker.js', import.meta.url));
+  let waiting = false;
+  let sentAt = 0;
+  let stopped = false;
+
+  function fail(message) {
+    if (stopped) return;
+    stop();
+    handlers.onError?.(message);
+  }
+
+  function stop() {
+    stopped = true;
+    waiting = false;
+    worker.terminate();
+  }
+
+  worker.addEventListener('message', (e) => {
+    const msg = e.data;
+    if (stopped || typeof msg !== 'object' || msg === null) return;
+    if (msg.type === 'log') {
+      handlers.onLog?.(String(msg.text));
+    } else if (msg.type === 'error') {
+      fail(String(msg.message));
+    } else if (msg.type === 'control' && waiting) {
+      waiting = false;
+      handlers.onControl?.({
+        throttle: typeof msg.throttle === 'number' ? Math.max(0, Math.min(1, msg.throttle)) || 0 : null,
+        heading: Number.isFinite(msg.heading) ? msg.heading : null,
+        timeScale: Number.isFinite(msg.timeScale) ? msg.timeScale : null,
+      });
+    }
+  });
+  worker.addEventListener('error', (e) => {
+    e.preventDefault();
+    fail(e.message || 'Script failed');
+  });
+  worker.postMessage({ type: 'init', source: String(source) });
+
+  return {
+    /** True from step() until the script has answered. */
+    get waiting() {
+      return waiting;
+    },
+
+    step(state, events = []) {
+      if (stopped) return;
+      waiting = true;
+      sentAt = performance.now();
+      worker.postMessage({ type: 'step', state, events });
+    },
+
+    /** Stop the script if it has been stuck on a step too long; true if so. */
+    overdue() {
+      if (!waiting || performance.now() - sentAt < SCRIPT_TIMEOUT_MS) return false;
+      fail(`No answer in ${SCRIPT_TIMEOUT_MS / 1000}s (endless loop?) - stopped`);
+      return true;
+    },
+
+    stop,
+  };
+}
@@ -0,0 +1,363 @@
+// =============================================================
+// server/relay.mjs - Race relay: rooms over WebSocket, plus the game files
+// =============================================================
+//
+// Run with `node server/relay.mjs [port]` (default 8080, or $PORT) and open
+// http://<host>:<port>/ on every machine: the game's files are served from
+// the project directory, and WebSocket connections to /race join races. No dependencies,
+// just enough of RFC 6455 for JSON text messages.
+//
+// Protocol (JSON text frames, see multiplayer.js for the client):
+//
+//   client -> relay
+//     { type: 'join', room, level, name }   first message; a room plays one
+//                                           level and can't be joined once
+//                                           its race has started
+//     { type: 'ready' }                     the race starts when every
+//                                           player in the room is ready
+//     { type: 'state', t, x, y, vx, vy, angle, thrusting, alive }
+//                                           passed on to the others; dropped
+//                                           unless the numbers are finite
+//     { type: 'finish', status, time, reason }   'won' | 'failed', mission time
+//
+//   relay -> client
+//     { type: 'welcome', id, players }
+//     { type: 'players', players }          [{ id, name, ready }] on every change
+//     { type: 'start', delay }              ms until everyone starts flying
+//     { type: 'state', id, t, ... }         another player's state
+//     { type: 'results', results, final }   [{ id, name, status, time, reason }]
+//                                           best first; final once everyone
+//                                           has finished or left
+//     { type: 'error', message }            and the connection closes
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8080);
+const WS_PATH = '/race';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Larger frames are a misbehaving client; states are ~200 bytes.
+const MAX_MESSAGE = 64 * 1024;
+// Countdown between everyone being ready and the start.
+const START_DELAY_MS = 3000;
+const MAX_NAME = 24;
+// What a state message carries (see sendState in multiplayer.js); only these
+// are passed on.
+const STATE_NUMBERS = ['t', 'x', 'y', 'vx', 'vy', 'angle'];
+const STATE_FLAGS = ['thrusting', 'alive'];
+
+// Policy for the flight-computer worker: scripts from here only, and no
+// connections, fonts, images or anything else that could reach the network.
+// 'unsafe-eval' because the worker compiles the player's script with
+// new Function.
+const WORKER_FILE = path.join(ROOT, 'script-worker.js');
+const WORKER_CSP = "default-src 'none'; script-src 'self' 'unsafe-eval'";
+
+// The file types served; anything else is refused.
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+};
+
+// =========================================================
+// WebSocket framing
+// =========================================================
+
+/** Encode a server-to-client frame (never masked). */
+function frame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(len, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(len), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Wrap an upgraded socket: calls onMessage(text) per text message and
+ * onClose() once. Returns { send(obj), close() }.
+ */
+function wrapSocket(socket, onMessage, onClose) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+
+  function close(code = 1000) {
+    if (closed) return;
+    closed = true;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    socket.end(frame(0x8, payload));
+    onClose();
+  }
+
+  // Pull complete frames off the buffer.
+  function parse() {
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let len = buffer[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        len = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      // Clients must mask what they send.
+      if (!masked || len > MAX_MESSAGE) {
+        close(1002);
+        return;
+      }
+      if (buffer.length < offset + 4 + len) return;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      buffer = buffer.subarray(offset + 4 + len);
+
+      if (opcode === 0x8) {
+        close();
+        return;
+      } else if (opcode === 0x9) {
+        socket.write(frame(0xa, payload));
+      } else if (opcode === 0x1 || opcode === 0x0) {
+        fragments.push(payload);
+        if (fragments.reduce((n, f) => n + f.length, 0) > MAX_MESSAGE) {
+          close(1009);
+          return;
+        }
+        if (fin) {
+          const text = Buffer.concat(fragments).toString('utf8');
+          fragments = [];
+          onMessage(text);
+        }
+      } else if (opcode !== 0xa) {
+        // Binary frames aren't part of the protocol.
+        close(1003);
+        return;
+      }
+    }
+  }
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    parse();
+  });
+  socket.on('close', () => {
+    if (closed) return;
+    closed = true;
+    onClose();
+  });
+  socket.on('error', () => socket.destroy());
+
+  return {
+    send(obj) {
+      if (!closed) socket.write(frame(0x1, Buffer.from(JSON.stringify(obj))));
+    },
+    close,
+  };
+}
+
+// =========================================================
+// Rooms
+// =========================================================
+
+// Room name -> { level, players: Map(id -> player), started, results }.
+const rooms = new Map();
+let nextId = 1;
+
+const roster = (room) => [...room.players.values()].map(({ id, name, ready }) => ({ id, name, ready }));
+
+function broadcast(room, msg, except = null) {
+  for (const p of room.players.values()) {
+    if (p !== except) p.ws.send(msg);
+  }
+}
+
+// Winners by time, then everyone else in the order they finished; players
+// still flying aren't listed.
+function sendResults(room) {
+  const order = { won: 0, failed: 1, left: 2 };
+  const results = [...room.results].sort((a, b) => order[a.status] - order[b.status]
+    || (a.status === 'won' ? a.time - b.time : 0));
+  const final = [...room.players.values()].every(p => p.finished);
+  broadcast(room, { type: 'results', results, final });
+}
+
+function maybeStart(room) {
+  if (room.started || room.players.size === 0) return;
+  if (![...room.players.values()].every(p => p.ready)) return;
+  room.started = true;
+  broadcast(room, { type: 'start', delay: START_DELAY_MS });
+}
+
+function handleMessage(player, text) {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    return;
+  }
+  if (typeof msg?.type !== 'string') return;
+  const room = player.room;
+
+  if (!room) {
+    if (msg.type !== 'join') return;
+    const name = String(msg.name ?? '').trim().slice(0, MAX_NAME) || `Player ${player.id}`;
+    const roomName = String(msg.room ?? '').trim() || 'lobby';
+    const level = String(msg.level ?? '');
+    let r = rooms.get(roomName);
+    if (r && r.level !== level) {
+      player.ws.send({ type: 'error', message: `Room "${roomName}" is racing another level` });
+      player.ws.close();
+      return;
+    }
+    if (r?.started) {
+      player.ws.send({ type: 'error', message: `The race in room "${roomName}" has already started` });
+      player.ws.close();
+      return;
+    }
+    if (!r) {
+      r = { name: roomName, level, players: new Map(), started: false, results: [] };
+      rooms.set(roomName, r);
+    }
+    Object.assign(player, { room: r, name });
+    r.players.set(player.id, player);
+    player.ws.send({ type: 'welcome', id: player.id, players: roster(r) });
+    broadcast(r, { type: 'players', players: roster(r) }, player);
+    return;
+  }
+
+  switch (msg.type) {
+    case 'ready':
+      player.ready = true;
+      broadcast(room, { type: 'players', players: roster(room) });
+      maybeStart(room);
+      break;
+    case 'state': {
+      if (!room.started || !STATE_NUMBERS.every(k => Number.isFinite(msg[k]))) break;
+      const state = { type: 'state', id: player.id };
+      for (const k of STATE_NUMBERS) state[k] = msg[k];
+      for (const k of STATE_FLAGS) state[k] = msg[k] === true;
+      broadcast(room, state, player);
+      break;
+    }
+    case 'finish':
+      if (!room.started || player.finished) break;
+      if (!Number.isFinite(msg.time) || msg.time < 0) break;
+      player.finished = true;
+      room.results.push({
+        id: player.id,
+        name: player.name,
+        status: msg.status === 'won' ? 'won' : 'failed',
+        time: msg.time,
+        reason: typeof msg.reason === 'string' ? msg.reason : null,
+      });
+      sendResults(room);
+      break;
+    default:
+      break;
+  }
+}
+
+function handleClose(player) {
+  const room = player.room;
+  if (!room) return;
+  room.players.delete(player.id);
+  if (room.players.size === 0) {
+    rooms.delete(room.name);
+    return;
+  }
+  broadcast(room, { type: 'players', players: roster(room) });
+  if (room.started && !player.finished) {
+    room.results.push({ id: player.id, name: player.name, status: 'left', time: 0, reason: null });
+    sendResults(room);
+  }
+  maybeStart(room);
+}
+
+// =========================================================
+// HTTP
+// =========================================================
+
+// Game files under the project directory: nothing outside it, and nothing
+// hidden (.git and the like) or of a type the game doesn't use.
+function serveFile(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    res.writeHead(400).end();
+    return;
+  }
+  const file = path.join(ROOT, urlPath.endsWith('/') ? `${urlPath}index.html` : urlPath);
+  const hidden = path.relative(ROOT, file).split(path.sep).some(part => part.startsWith('.'));
+  if (!file.startsWith(ROOT + path.sep) || hidden || !MIME[path.extname(file)]) {
+    res.writeHead(403).end();
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+      return;
+    }
+    const headers = { 'Content-Type': MIME[path.extname(file)] };
+    if (file === WORKER_FILE) headers['Content-Security-Policy'] = WORKER_CSP;
+    res.writeHead(200, headers);
+    res.end(data);
+  });
+}
+
+const server = http.createServer(serveFile);
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  let wsPath = null;
+  try {
+    wsPath = new URL(req.url, 'http://localhost').pathname;
+  } catch {
+    // Answered below like any other bad request.
+  }
+  if (wsPath !== WS_PATH || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n', () => socket.destroy());
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  const player = { id: nextId++, name: '', room: null, ready: false, finished: false, ws: null };
+  player.ws = wrapSocket(socket, (text) => handleMessage(player, text), () => handleClose(player));
+});
+
+server.listen(PORT, () => {
+  console.log(`Space Player relay on http://localhost:${PORT}/ (races at ws://<host>:${PORT}${WS_PATH})`);
+});
@@ -0,0 +1,192 @@
+// =============================================================
+// settings.js - Controls settings screen
+// =============================================================
+//
+// Rebinds the actions in controls.js through the #settings panel in
+// index.html: click a slot, then press a key (or a gamepad button, or move a
+// stick for the rotation axis). Esc cancels, Backspace / Delete clears the
+// slot. Every change is saved right away.
+
+import {
+  ACTIONS, KEY_SLOTS, currentBindings, defaultBindings, saveBindings, keyName, connectedGamepad,
+} from './controls.js';
+
+// A stick has to move this far to be picked as the rotation axis.
+const AXIS_PICK = 0.6;
+
+/**
+ * Open the controls settings over whatever is showing. While open it takes
+ * all key presses (capture phase) so nothing underneath reacts; releases
+ * still get through, so held keys don't stick. options:
+ * { onClose } after Close. Returns { stop }.
+ */
+export function openSettings(options = {}) {
+  const lifetime = new AbortController();
+  const { signal } = lifetime;
+  const panel = document.getElementById('settings');
+  const table = document.getElementById('settings-bindings');
+  const statusEl = document.getElementById('settings-status');
+  const bindings = structuredClone(currentBindings());
+  // Slot waiting for input: { kind: 'key' | 'pad' | 'throttle' | 'axis', action, slot, el }.
+  let listening = null;
+  let frameId = 0;
+
+  function save() {
+    saveBindings(bindings);
+    render();
+  }
+
+  function slotButton(text, onClick) {
+    const b = document.createElement('button');
+    b.textContent = text;
+    b.addEventListener('click', () => onClick(b), { signal });
+    return b;
+  }
+
+  function listen(kind, action, slot, el) {
+    listening = { kind, action, slot, el };
+    el.textContent = kind === 'key' ? 'Press a key...' : kind === 'axis' ? 'Move a stick...' : 'Press a button...';
+    el.classList.add('listening');
+    statusEl.textContent = kind === 'key' ? 'Esc cancels, Backspace clears' : connectedGamepad()
+      ? 'Esc cancels, Backspace clears' : 'No gamepad connected - press any of its buttons to wake it';
+    // Gamepads have no events for buttons; watch them until something moves.
+    if (kind !== 'key') {
+      const start = connectedGamepad();
+      const wasDown = new Set((start?.buttons ?? []).flatMap((b, i) => (b.pressed ? [i] : [])));
+      const poll = () => {
+        if (signal.aborted || listening?.el !== el) return;
+        frameId = requestAnimationFrame(poll);
+        const pad = connectedGamepad();
+        if (!pad) return;
+        if (kind === 'axis') {
+          const axis = pad.axes.findIndex(v => Math.abs(v) > AXIS_PICK);
+          if (axis >= 0) finish(axis);
+          return;
+        }
+        const button = pad.buttons.findIndex((b, i) => b.pressed && !wasDown.has(i));
+        if (button >= 0) finish(button);
+        pad.buttons.forEach((b, i) => { if (!b.pressed) wasDown.delete(i); });
+      };
+      poll();
+    }
+  }
+
+  // Store what the listening slot got (null clears it).
+  function finish(value) {
+    const { kind, action, slot } = listening;
+    listening = null;
+    cancelAnimationFrame(frameId);
+    statusEl.textContent = '';
+    if (kind === 'key') {
+      // A key does one thing: take it off wherever else it was.
+      if (value) {
+        for (const codes of Object.values(bindings.keys)) {
+          codes.forEach((c, i) => { if (c === value) codes[i] = null; });
+        }
+      }
+      bindings.keys[action][slot] = value;
+    } else if (kind === 'pad' || kind === 'throttle') {
+      // Likewise a button, including the analog throttle's.
+      if (value !== null) {
+        for (const a of Object.keys(bindings.pad)) {
+          if (bindings.pad[a] === value) bindings.pad[a] = null;
+        }
+        if (bindings.throttleButton === value) bindings.throttleButton = null;
+      }
+      if (kind === 'pad') bindings.pad[action] = value;
+      else bindings.throttleButton = value;
+    } else {
+      bindings.rotateAxis = value;
+    }
+    save();
+  }
+
+  function cell(...children) {
+    const td = document.createElement('td');
+    td.append(...children);
+    return td;
+  }
+
+  function render() {
+    const head = document.createElement('tr');
+    for (const text of ['Action', ...Array.from({ length: KEY_SLOTS }, (_, i) => `Key ${i + 1}`), 'Gamepad']) {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    }
+    const rows = Object.entries(ACTIONS).map(([action, label]) => {
+      const tr = document.createElement('tr');
+      tr.appendChild(cell(label));
+      for (let slot = 0; slot < KEY_SLOTS; slot++) {
+        const code = bindings.keys[action][slot];
+        tr.appendChild(cell(slotButton(keyName(code), (b) => listen('key', action, slot, b))));
+      }
+      const button = bindings.pad[action];
+      tr.appendChild(cell(slotButton(button === null ? '-' : `Button ${button}`, (b) => listen('pad', action, 0, b))));
+      return tr;
+    });
+
+    const throttle = document.createElement('tr');
+    throttle.append(
+      cell('Analog throttle'), cell(), cell(),
+      cell(slotButton(bindings.throttleButton === null ? '-' : `Button ${bindings.throttleButton}`,
+        (b) => listen('throttle', null, 0, b))),
+    );
+    const axis = document.createElement('tr');
+    const invert = document.createElement('input');
+    invert.type = 'checkbox';
+    invert.checked = bindings.invertRotate;
+    invert.addEventListener('change', () => {
+      bindings.invertRotate = invert.checked;
+      save();
+    }, { signal });
+    const invertLabel = document.createElement('label');
+    invertLabel.append(invert, ' invert');
+    axis.append(
+      cell('Analog rotation'), cell(invertLabel), cell(),
+      cell(slotButton(bindings.rotateAxis === null ? '-' : `Axis ${bindings.rotateAxis}`,
+        (b) => listen('axis', null, 0, b))),
+    );
+    table.replaceChildren(head, ...rows, throttle, axis);
+  }
+
+  window.addEventListener('keydown', (e) => {
+    e.stopImmediatePropagation();
+    if (!listening) {
+      if (e.code === 'Escape') close();
+      return;
+    }
+    e.preventDefault();
+    if (e.code === 'Escape') {
+      listening = null;
+      statusEl.textContent = '';
+      render();
+    } else if (e.code === 'Backspace' || e.code === 'Delete') {
+      finish(null);
+    } else if (listening.kind === 'key') {
+      finish(e.code);
+    }
+  }, { capture: true, signal });
+
+  document.getElementById('settings-reset').addEventListener('click', () => {
+    Object.assign(bindings, defaultBindings());
+    save();
+  }, { signal });
+  document.getElementById('settings-close').addEventListener('click', () => close(), { signal });
+
+  function stop() {
+    lifetime.abort();
+    cancelAnimationFrame(frameId);
+    panel.style.display = 'none';
+  }
+
+  function close() {
+    stop();
+    options.onClose?.();
+  }
+
+  panel.style.display = 'block';
+  statusEl.textContent = '';
+  render();
+  return { stop };
+}
@@ -0,0 +1,690 @@
+// =============================================================
+// simulation.js - Headless world state and fixed-step stepping
+// =============================================================
+//
+// Owns the planets and the rocket for one level and advances them in
+// FIXED_DT increments. No THREE, no DOM: the renderer in game.js only reads
+// from it, and the same code runs in Node for scripted scenarios, e.g.
+//
+//   const sim = createSimulation(LEVELS.tutorial);
+//   sim.on('landed', ({ planet }) => console.log('landed on', planet.name));
+//   for (let i = 0; i < 1200; i++) sim.step({ thrust: i < 240 });
+
+import {
+  G0, gravitationalForce, integrateBodies, sweptCollision, deltaV, airDensity,
+} from './physics.js?v=2';
+import { sasHeading, sasRotate } from './autopilot.js';
+import { dominantBody, propagateKepler, orbitState } from './orbit.js';
+
+// Simulation step in seconds of simulated time.
+export const FIXED_DT = 1 / 120;
+// Fraction of reentry heat the rocket sheds per second.
+const HEAT_COOLING = 0.2;
+// Touchdowns past this fraction of a landing limit are hard landings.
+const HARD_LANDING = 0.5;
+
+// Angle wrapped to [-PI, PI].
+const normalizeAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+
+// Throttle 0..1 from a step input's thrust (true is full throttle).
+const throttleOf = (thrust) => (thrust === true ? 1 : Math.min(1, Math.max(0, Number(thrust) || 0)));
+
+/**
+ * Planet specs for a level. Defensive: allows older single-planet levels (or
+ * stale cached modules) that don't have L.PLANETS yet.
+ */
+function planetSpecsFor(L) {
+  return Array.isArray(L.PLANETS) ? L.PLANETS : [{
+    name: 'Earth',
+    color: 0x44aacc,
+    mass: L.PLANET_MASS ?? 10,
+    radius: L.PLANET_RADIUS ?? 10,
+    orbitalRadius: L.PLANET_ORBITAL_RADIUS ?? 300,
+    collisionRadius: L.PLANET_COLLISION_RADIUS,
+  }];
+}
+
+/**
+ * Create the world for a level preset from LEVELS.
+ *
+ * Returns { L, planets, stations, homePlanet, rocket, time, stepCount,
+ * fuelCapacity, step, warp, respawn, remainingDeltaV, air, snapshot, restore,
+ * on }. `step(input)` advances one FIXED_DT with input { thrust, rotate, sas,
+ * sasTarget } (see step) and emits 'landed', 'tookOff', 'docked',
+ * 'undocked', 'crashed', 'respawned', 'fuelEmpty' and 'refueled' ({ planet }
+ * or { station }) events to `on` listeners.
+ *
+ * Collisions with the sun and planets are swept over each step (see
+ * checkCollisions), so 'landed' and 'crashed' report the exact impact and a
+ * fast rocket can't pass through a small planet between two steps.
+ *
+ * Touching a planet lands only slower than L.LANDING_SPEED relative to its
+ * surface, sliding sideways slower than L.LANDING_SIDE_SPEED, nose within
+ * L.LANDING_ANGLE of straight up: a safe landing within HARD_LANDING of
+ * every limit, else a hard one (see touchdown). Planets with a
+ * rotationPeriod spin, their air with them: a landed rocket turns with the
+ * surface and takes off with its speed.
+ *
+ * The rocket carries L.ROCKET_FUEL_MASS of propellant (unlimited if unset)
+ * that burns at ROCKET_THRUST / (ROCKET_ISP * G0) per second; rocket.mass
+ * drops as it does, so the same thrust accelerates harder on an emptier tank.
+ *
+ * Inside a planet's atmosphere the rocket feels drag, 0.5 * density * v^2 *
+ * L.ROCKET_DRAG / mass against its velocity relative to the air. Drag
+ * faster than L.REENTRY_SPEED heats the rocket up (rocket.heat, 1 = burnt
+ * up, cooling off over time): dip in shallow to aerobrake, too deep and it
+ * crashes with cause 'heat'.
+ *
+ * L.STATIONS are passive spacecraft: they start on orbits given like a
+ * planet's, then feel the same gravity as the rocket (no drag, no pull of
+ * their own, no collisions). The rocket docks when its center comes within
+ * L.ROCKET_SIZE of a station's hull slower than L.DOCKING_SPEED relative to
+ * it, nose within L.DOCKING_ANGLE of pointing at it, engine off. Docked, it
+ * rides along and refuels like on a planet; thrust undocks with the
+ * station's velocity, and it has to leave docking range before it can dock
+ * there again.
+ */
+export function createSimulation(L) {
+  // Specs list parents before their moons, so each parent is placed first.
+  const planets = [];
+  for (const [idx, p] of planetSpecsFor(L).entries()) {
+    const parent = planets.find(q => q.name === p.parent) ?? null;
+    const start = orbitState(
+      L.G * (parent ? parent.mass : L.SUN_MASS),
+      p.orbitalRadius, p.eccentricity ?? 0, p.argPeriapsis ?? 0, p.trueAnomaly ?? 0,
+    );
+    planets.push({
+      idx,
+      name: p.name ?? `Planet ${idx + 1}`,
+      color: p.color ?? 0xffffff,
+      mass: p.mass,
+      radius: p.radius,
+      parent, // planet this one orbits (a moon), or null for the sun
+      orbitalRadius: p.orbitalRadius, // semi-major axis
+      eccentricity: p.eccentricity ?? 0,
+      argPeriapsis: p.argPeriapsis ?? 0,
+      collisionRadius: p.collisionRadius ?? p.radius,
+      refuel: p.refuel !== false, // landing here tops up the tank
+      atmosphere: p.atmosphere ?? null, // { height, density, scaleHeight }
+      // Surface and air turn counterclockwise at `spin` rad/s (clockwise
+      // for a negative rotationPeriod); `rotation` is how far so far.
+      spin: p.rotationPeriod ? 2 * Math.PI / p.rotationPeriod : 0,
+      rotation: 0,
+      // Counterclockwise orbit, starting at trueAnomaly past periapsis (on the
+      // +X axis of its parent by default).
+      x: start.x + (parent ? parent.x : 0),
+      y: start.y + (parent ? parent.y : 0),
+      vx: start.vx + (parent ? parent.vx : 0),
+      vy: start.vy + (parent ? parent.vy : 0),
+    });
+  }
+  const homePlanet = planets[0];
+
+  // Placed like planets; `parent` only picks what the start orbit is around.
+  const stations = (L.STATIONS ?? []).map((s, idx) => {
+    const parent = planets.find(q => q.name === s.parent) ?? null;
+    const start = orbitState(
+      L.G * (parent ? parent.mass : L.SUN_MASS),
+      s.orbitalRadius, s.eccentricity ?? 0, s.argPeriapsis ?? 0, s.trueAnomaly ?? 0,
+    );
+    return {
+      idx,
+      name: s.name ?? `Station ${idx + 1}`,
+      color: s.color ?? 0xdddddd,
+      radius: s.radius ?? L.ROCKET_SIZE * 2,
+      refuel: s.refuel !== false, // docking here tops up the tank
+      x: start.x + (parent ? parent.x : 0),
+      y: start.y + (parent ? parent.y : 0),
+      vx: start.vx + (parent ? parent.vx : 0),
+      vy: start.vy + (parent ? parent.vy : 0),
+    };
+  });
+  const dockingSpeed = L.DOCKING_SPEED ?? L.LANDING_SPEED / 4;
+  const dockingAngle = L.DOCKING_ANGLE ?? 0.35;
+  // Touchdown limits past which the rocket crashes (see touchdown()).
+  const landingSideSpeed = L.LANDING_SIDE_SPEED ?? L.LANDING_SPEED / 2;
+  const landingAngle = L.LANDING_ANGLE ?? 0.5;
+
+  const fuelCapacity = L.ROCKET_FUEL_MASS > 0 ? L.ROCKET_FUEL_MASS : Infinity;
+  const dryMass = Number.isFinite(fuelCapacity) ? L.ROCKET_MASS - fuelCapacity : L.ROCKET_MASS;
+  const massFlow = L.ROCKET_THRUST / ((L.ROCKET_ISP ?? Infinity) * G0);
+  const massWith = (fuel) => (Number.isFinite(fuel) ? dryMass + fuel : L.ROCKET_MASS);
+
+  const dragArea = L.ROCKET_DRAG ?? 0.2;
+  const reentrySpeed = L.REENTRY_SPEED ?? 2 * L.LANDING_SPEED;
+  // Drag work done above reentry speed that burns the rocket up: a fifteenth
+  // of the kinetic energy (per mass) it has at reentry speed.
+  const heatCapacity = reentrySpeed * reentrySpeed / 30;
+
+  const rocket = {
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    angle: Math.PI / 2,
+    thrusting: false,
+    throttle: 0, // 0..1 of ROCKET_THRUST while thrusting
+    alive: true,
+    landed: false,
+    landedAngle: 0, // angle on planet surface where landed
+    landedPlanetIdx: 0,
+    docked: false,
+    dockedStationIdx: 0,
+    dockedAngle: 0, // position angle around the station where docked
+    undockedFrom: null, // station index it has to get clear of to dock again
+    fuel: fuelCapacity, // propellant mass left
+    mass: L.ROCKET_MASS,
+    sasHold: null, // heading SAS 'hold' keeps, latched when engaged
+    heat: 0, // reentry heating, 0 (cold) to 1 (burnt up)
+  };
+
+  const listeners = {};
+
+  /** Subscribe to an event; returns an unsubscribe function. */
+  function on(type, fn) {
+    (listeners[type] ??= []).push(fn);
+    return () => {
+      const list = listeners[type];
+      const i = list.indexOf(fn);
+      if (i >= 0) list.splice(i, 1);
+    };
+  }
+
+  function emit(type, detail) {
+    for (const fn of listeners[type] ?? []) fn(detail);
+  }
+
+  // L.SPAWN: { body, orbitRadius, angle, landed } picks where the rocket
+  // starts and respawns; by default a low orbit around the home planet.
+  const spawn = L.SPAWN ?? {};
+  const spawnPlanet = planets.find(p => p.name === spawn.body) ?? homePlanet;
+
+  // Circular counterclockwise orbit (nose prograde), or parked on the surface
+  // pointing straight up. `angle` is the position angle around the planet,
+  // on its surface (turned with it) when landed.
+  function placeRocket() {
+    const a = spawn.angle ?? 0;
+    if (spawn.landed) {
+      rocket.landed = true;
+      rocket.landedPlanetIdx = spawnPlanet.idx;
+      rocket.landedAngle = a + spawnPlanet.rotation;
+      rocket.angle = rocket.landedAngle;
+      placeOnSurface(spawnPlanet);
+    } else {
+      const r = spawn.orbitRadius ?? L.ROCKET_PLANET_ORBIT_RADIUS;
+      const v = Math.sqrt(L.G * spawnPlanet.mass / r);
+      rocket.landed = false;
+      rocket.x = spawnPlanet.x + Math.cos(a) * r;
+      rocket.y = spawnPlanet.y + Math.sin(a) * r;
+      rocket.vx = spawnPlanet.vx - Math.sin(a) * v;
+      rocket.vy = spawnPlanet.vy + Math.cos(a) * v;
+      rocket.angle = a + Math.PI / 2;
+    }
+    rocket.docked = false;
+    rocket.undockedFrom = null;
+    rocket.thrusting = false;
+    rocket.throttle = 0;
+    rocket.sasHold = null;
+    rocket.alive = true;
+    rocket.heat = 0;
+    rocket.fuel = fuelCapacity;
+    rocket.mass = massWith(fuelCapacity);
+  }
+
+  // Spend propellant for dt seconds at the current throttle.
+  function burn(dt) {
+    rocket.fuel = Math.max(0, rocket.fuel - massFlow * rocket.throttle * dt);
+    rocket.mass = massWith(rocket.fuel);
+    if (rocket.fuel === 0) {
+      rocket.thrusting = false;
+      emit('fuelEmpty', {});
+    }
+  }
+
+  // Top up from a planet or station; `detail` is the 'refueled' event's.
+  function refuel(source, detail, dt) {
+    if (!(L.REFUEL_RATE > 0) || !source.refuel || rocket.fuel >= fuelCapacity) return;
+    rocket.fuel = Math.min(fuelCapacity, rocket.fuel + L.REFUEL_RATE * dt);
+    rocket.mass = massWith(rocket.fuel);
+    if (rocket.fuel === fuelCapacity) emit('refueled', detail);
+  }
+
+  // Manual rotation wins over SAS; releasing it re-latches 'hold' on the new
+  // heading.
+  function steer(input, dt) {
+    if (input.rotate) {
+      rocket.angle += input.rotate * L.ROCKET_ROTATION_SPEED * dt;
+      rocket.sasHold = null;
+      return;
+    }
+    if (!input.sas) {
+      rocket.sasHold = null;
+      return;
+    }
+    if (input.sas === 'hold') rocket.sasHold ??= rocket.angle;
+    const heading = sasHeading(L, planets, rocket, input.sas, input.sasTarget, stations);
+    if (heading !== null) rocket.angle += sasRotate(L, rocket, heading, dt) * L.ROCKET_ROTATION_SPEED * dt;
+  }
+
+  function crash(cause, planet, impact = null) {
+    rocket.alive = false;
+    rocket.thrusting = false;
+    emit('crashed', { cause, planet, impact });
+  }
+
+  // Accelerations for [...planets, ...stations, rocket?] at the given
+  // sub-step states. Every planet feels the (fixed) sun. By default a moon
+  // also feels its parent and nothing else pulls on planets; with L.N_BODY
+  // every planet attracts every other one. Stations and the rocket feel the
+  // sun and every planet, the rocket also its own thrust and drag; they pull
+  // on nothing.
+  function accelerations(states) {
+    const n = planets.length;
+    const rocketIdx = n + stations.length;
+    return states.map((s, i) => {
+      const sg = gravitationalForce(L.G, 0, 0, L.SUN_MASS, s.x, s.y);
+      let ax = sg.fx;
+      let ay = sg.fy;
+      if (i < n) {
+        for (let j = 0; j < n; j++) {
+          if (j === i || !(L.N_BODY || planets[i].parent === planets[j])) continue;
+          const pg = gravitationalForce(L.G, states[j].x, states[j].y, planets[j].mass, s.x, s.y);
+          ax += pg.fx;
+          ay += pg.fy;
+        }
+        return { ax, ay };
+      }
+
+      for (let j = 0; j < n; j++) {
+        const pg = gravitationalForce(L.G, states[j].x, states[j].y, planets[j].mass, s.x, s.y);
+        ax += pg.fx;
+        ay += pg.fy;
+      }
+      if (i !== rocketIdx) return { ax, ay };
+      if (rocket.thrusting) {
+        ax += Math.cos(rocket.angle) * L.ROCKET_THRUST * rocket.throttle / rocket.mass;
+        ay += Math.sin(rocket.angle) * L.ROCKET_THRUST * rocket.throttle / rocket.mass;
+      }
+      const drag = dragAt(s, states);
+      return { ax: ax + drag.ax, ay: ay + drag.ay };
+    });
+  }
+
+  // Planet with an atmosphere around rocket state `s` (planets at `states`)
+  // and the air density there, or null in vacuum.
+  function airAt(s, states) {
+    for (let j = 0; j < planets.length; j++) {
+      const atmo = planets[j].atmosphere;
+      if (!atmo) continue;
+      const density = airDensity(atmo, Math.hypot(s.x - states[j].x, s.y - states[j].y) - planets[j].radius);
+      if (density > 0) return { planet: planets[j], density, state: states[j] };
+    }
+    return null;
+  }
+
+  // Drag acceleration on rocket state `s`, against its velocity relative to
+  // the air (the planet it is in, turning with its surface).
+  function dragAt(s, states) {
+    const air = airAt(s, states);
+    if (!air) return { ax: 0, ay: 0, speed: 0 };
+    const wind = spinVelocity(air.state, air.planet.spin, s.x - air.state.x, s.y - air.state.y);
+    const vx = s.vx - wind.vx;
+    const vy = s.vy - wind.vy;
+    const speed = Math.hypot(vx, vy);
+    const k = 0.5 * air.density * speed * dragArea / rocket.mass;
+    return { ax: -k * vx, ay: -k * vy, speed };
+  }
+
+  // Drag work faster than reentry speed heats the rocket; it always cools.
+  function heatUp(dt) {
+    const drag = dragAt(rocket, planets);
+    const work = Math.hypot(drag.ax, drag.ay) * Math.max(0, drag.speed - reentrySpeed);
+    rocket.heat = Math.max(0, rocket.heat + (work / heatCapacity - HEAT_COOLING * rocket.heat) * dt);
+    if (rocket.heat >= 1) crash('heat', airAt(rocket, planets).planet);
+  }
+
+  // Planets, stations and (when flying) the rocket are integrated together so
+  // higher-order schemes see consistent planet positions at every sub-step.
+  function stepBodies(flying, dt) {
+    const bodies = flying ? [...planets, ...stations, rocket] : [...planets, ...stations];
+    integrateBodies(L.INTEGRATOR ?? 'verlet', bodies, accelerations, dt);
+  }
+
+  // Velocity of a planet's surface (or air) at offset (dx, dy) from its
+  // center, for the planet moving at `v` ({ vx, vy }) and turning at `spin`.
+  const spinVelocity = (v, spin, dx, dy) => ({ vx: v.vx - spin * dy, vy: v.vy + spin * dx });
+
+  // Stand the landed rocket on `pl` at rocket.landedAngle, moving with the
+  // surface there (a launch keeps that speed).
+  function placeOnSurface(pl) {
+    const r = pl.radius + L.ROCKET_SIZE * 0.5;
+    const dx = Math.cos(rocket.landedAngle) * r;
+    const dy = Math.sin(rocket.landedAngle) * r;
+    const v = spinVelocity(pl, pl.spin, dx, dy);
+    rocket.x = pl.x + dx;
+    rocket.y = pl.y + dy;
+    rocket.vx = v.vx;
+    rocket.vy = v.vy;
+  }
+
+  function stepLanded(input, dt) {
+    const landedOn = planets[rocket.landedPlanetIdx] ?? homePlanet;
+    // Turn with the surface, keeping the attitude relative to it.
+    rocket.landedAngle += landedOn.spin * dt;
+    rocket.angle += landedOn.spin * dt;
+    placeOnSurface(landedOn);
+
+    // Thrust to take off
+    rocket.throttle = throttleOf(input.thrust);
+    rocket.thrusting = rocket.throttle > 0 && rocket.fuel > 0;
+    if (rocket.thrusting) {
+      rocket.landed = false;
+      rocket.vx += Math.cos(rocket.angle) * L.ROCKET_THRUST * rocket.throttle / rocket.mass * dt;
+      rocket.vy += Math.sin(rocket.angle) * L.ROCKET_THRUST * rocket.throttle / rocket.mass * dt;
+      burn(dt);
+      emit('tookOff', { planet: landedOn });
+    } else {
+      refuel(landedOn, { planet: landedOn }, dt);
+    }
+  }
+
+  // Rocket center distance from a station's center while docked to it.
+  const dockedDistance = (station) => station.radius + L.ROCKET_SIZE * 0.5;
+
+  function stepDocked(input, dt) {
+    const station = stations[rocket.dockedStationIdx];
+    rocket.x = station.x + Math.cos(rocket.dockedAngle) * dockedDistance(station);
+    rocket.y = station.y + Math.sin(rocket.dockedAngle) * dockedDistance(station);
+    rocket.vx = station.vx;
+    rocket.vy = station.vy;
+
+    // Thrust to undock
+    rocket.throttle = throttleOf(input.thrust);
+    rocket.thrusting = rocket.throttle > 0 && rocket.fuel > 0;
+    if (rocket.thrusting) {
+      rocket.docked = false;
+      rocket.undockedFrom = station.idx;
+      rocket.vx += Math.cos(rocket.angle) * L.ROCKET_THRUST * rocket.throttle / rocket.mass * dt;
+      rocket.vy += Math.sin(rocket.angle) * L.ROCKET_THRUST * rocket.throttle / rocket.mass * dt;
+      burn(dt);
+      emit('undocked', { station });
+    } else {
+      refuel(station, { station }, dt);
+    }
+  }
+
+  function checkDocking() {
+    for (const st of stations) {
+      const dx = st.x - rocket.x;
+      const dy = st.y - rocket.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist > st.radius + L.ROCKET_SIZE) {
+        if (rocket.undockedFrom === st.idx) rocket.undockedFrom = null;
+        continue;
+      }
+      if (rocket.undockedFrom === st.idx || rocket.thrusting) continue;
+
+      const relSpeed = Math.hypot(rocket.vx - st.vx, rocket.vy - st.vy);
+      const off = Math.atan2(dy, dx) - rocket.angle;
+      if (relSpeed >= dockingSpeed || Math.abs(Math.atan2(Math.sin(off), Math.cos(off))) > dockingAngle) continue;
+
+      rocket.docked = true;
+      rocket.dockedStationIdx = st.idx;
+      rocket.dockedAngle = Math.atan2(-dy, -dx);
+      rocket.vx = st.vx;
+      rocket.vy = st.vy;
+      emit('docked', { station: st, relSpeed });
+      return;
+    }
+  }
+
+  // Rocket and planet states at the start of the step, for the swept
+  // collision checks at its end.
+  const stepStart = () => ({
+    rocket: { x: rocket.x, y: rocket.y, vx: rocket.vx, vy: rocket.vy },
+    planets: planets.map(p => ({ x: p.x, y: p.y, vx: p.vx, vy: p.vy })),
+  });
+
+  // First contact with the sun or a planet during the step from `start`
+  // (see stepStart), treating both paths as straight lines. Exact to the
+  // fraction of the step, so a fast rocket can't tunnel through a small
+  // planet. Lands or crashes the rocket at the contact point (carried along
+  // with the body to the end of the step) as touchdown() decides; the event
+  // gets impact: { time, x, y, angle, longitude, relSpeed, outcome,
+  // verticalSpeed, sideSpeed, tilt, limit } with the surface point where it hit,
+  // the surface angle there (longitude: on the turning surface) and the
+  // touchdown report, speeds relative to the surface.
+  function checkCollisions(start, dt) {
+    const size = L.ROCKET_SIZE * 0.5;
+    const SUN = { x: 0, y: 0, vx: 0, vy: 0, spin: 0, rotation: 0 };
+    let hit = null;
+    for (const body of [null, ...planets]) {
+      const from = body ? start.planets[body.idx] : SUN;
+      const to = body ?? SUN;
+      const radius = body ? body.collisionRadius : L.SUN_COLLISION_RADIUS;
+      const t = sweptCollision(
+        start.rocket.x, start.rocket.y, rocket.x, rocket.y, size,
+        from.x, from.y, to.x, to.y, radius,
+      );
+      if (t !== null && (!hit || t < hit.t)) hit = { t, body, from, to, radius };
+    }
+    if (!hit) return;
+
+    const { t, body, from, to, radius } = hit;
+    const lerp = (key, a, b) => a[key] + (b[key] - a[key]) * t;
+    const angle = Math.atan2(
+      lerp('y', start.rocket, rocket) - lerp('y', from, to),
+      lerp('x', start.rocket, rocket) - lerp('x', from, to),
+    );
+    // Velocity relative to the (turning) surface at the contact point.
+    const surface = spinVelocity(
+      { vx: lerp('vx', from, to), vy: lerp('vy', from, to) }, to.spin,
+      Math.cos(angle) * radius, Math.sin(angle) * radius,
+    );
+    const report = touchdown(
+      lerp('vx', start.rocket, rocket) - surface.vx,
+      lerp('vy', start.rocket, rocket) - surface.vy,
+      angle,
+    );
+    const impact = {
+      time: sim.time + t * dt,
+      x: lerp('x', from, to) + Math.cos(angle) * radius,
+      y: lerp('y', from, to) + Math.sin(angle) * radius,
+      angle,
+      longitude: normalizeAngle(angle - (to.rotation - to.spin * (1 - t) * dt)),
+      ...report,
+    };
+    const { relSpeed } = report;
+    // Where the rocket touched, riding along to where the body is now.
+    rocket.x = to.x + Math.cos(angle) * (radius + size);
+    rocket.y = to.y + Math.sin(angle) * (radius + size);
+
+    // The sun is always fatal.
+    if (body && report.outcome !== 'crash') {
+      rocket.landed = true;
+      rocket.landedPlanetIdx = body.idx;
+      // Settles upright, the rest of the step turning with the surface.
+      rocket.landedAngle = angle + body.spin * (1 - t) * dt;
+      rocket.angle = rocket.landedAngle;
+      rocket.sasHold = null;
+      placeOnSurface(body);
+      emit('landed', { planet: body, relSpeed, impact });
+    } else {
+      impact.outcome = 'crash';
+      crash(body ? 'planet' : 'sun', body, impact);
+    }
+  }
+
+  // Touchdown report for velocity (vx, vy) relative to the surface at
+  // surface angle `angle`: { outcome, relSpeed, verticalSpeed (down),
+  // sideSpeed, tilt (radians the nose is off straight up), limit }. Each of
+  // relSpeed, sideSpeed and tilt has a limit (L.LANDING_SPEED,
+  // L.LANDING_SIDE_SPEED, L.LANDING_ANGLE): past any limit it's a 'crash',
+  // past HARD_LANDING of one a 'hard' landing, else 'safe'. `limit` is the
+  // one it came closest to: 'speed' | 'side' | 'tilt'.
+  function touchdown(vx, vy, angle) {
+    const nx = Math.cos(angle);
+    const ny = Math.sin(angle);
+    const speed = Math.hypot(vx, vy);
+    const tilt = Math.abs(normalizeAngle(rocket.angle - angle));
+    const sideSpeed = Math.abs(vy * nx - vx * ny);
+    const ratios = { speed: speed / L.LANDING_SPEED, side: sideSpeed / landingSideSpeed, tilt: tilt / landingAngle };
+    const limit = Object.keys(ratios).reduce((a, b) => (ratios[b] > ratios[a] ? b : a));
+    const worst = ratios[limit];
+    const outcome = worst >= 1 ? 'crash' : worst >= HARD_LANDING ? 'hard' : 'safe';
+    return { outcome, relSpeed: speed, verticalSpeed: -(vx * nx + vy * ny), sideSpeed, tilt, limit };
+  }
+
+  const sim = {
+    L,
+    planets,
+    stations,
+    homePlanet,
+    rocket,
+    time: 0, // simulated seconds
+    stepCount: 0,
+    fuelCapacity,
+    // Touchdown limits besides L.LANDING_SPEED, defaults filled in.
+    landingSideSpeed,
+    landingAngle,
+    on,
+
+    /**
+     * Advance the world by one step. input: { thrust, rotate, sas, sasTarget }
+     * with thrust the throttle from 0 to 1 (true for full), rotate 1 turning
+     * counterclockwise (left) at ROCKET_ROTATION_SPEED, -1 clockwise (or
+     * anything in between), sas an autopilot mode from SAS_MODES and
+     * sasTarget the target id for the target modes (see targets.js).
+     * Steering is simulated time like everything else, so a replay of the
+     * same inputs reproduces the flight.
+     * The game always uses FIXED_DT; look-ahead tools may pass a larger dt.
+     */
+    step(input = {}, dt = FIXED_DT) {
+      if (rocket.alive) steer(input, dt);
+      const flying = rocket.alive && !rocket.landed && !rocket.docked;
+      if (flying) {
+        rocket.throttle = throttleOf(input.thrust);
+        rocket.thrusting = rocket.throttle > 0 && rocket.fuel > 0;
+      }
+      const start = flying ? stepStart() : null;
+      stepBodies(flying, dt);
+      for (const pl of planets) pl.rotation += pl.spin * dt;
+      if (flying && rocket.thrusting) burn(dt);
+      if (rocket.alive && rocket.landed) {
+        stepLanded(input, dt);
+        rocket.heat *= Math.exp(-HEAT_COOLING * dt);
+      } else if (rocket.alive && rocket.docked) {
+        stepDocked(input, dt);
+        rocket.heat *= Math.exp(-HEAT_COOLING * dt);
+      } else if (flying) {
+        heatUp(dt);
+        if (rocket.alive) checkCollisions(start, dt);
+        if (rocket.alive && !rocket.landed) checkDocking();
+      }
+      sim.time += dt;
+      sim.stepCount++;
+    },
+
+    /**
+     * Advance `steps` fixed steps at once "on rails": planets, stations and
+     * a coasting rocket follow their Kepler orbits analytically (moons
+     * around their parent, stations and the rocket around their dominant
+     * body, ignoring every other body), a landed or docked rocket rides along
+     * and refuels. No thrust, steering, drag, collision or docking checks -
+     * see warp.js for when that is safe. Deterministic like step(), so
+     * replays record it.
+     */
+    warp(steps) {
+      const dt = steps * FIXED_DT;
+      const flying = rocket.alive && !rocket.landed && !rocket.docked;
+      // Around the dominant body's old state, then placed on its new one.
+      const coast = (s) => {
+        const body = dominantBody(L, planets, s.x, s.y);
+        const rel = propagateKepler(
+          L.G * (body ? body.mass : L.SUN_MASS),
+          s.x - (body ? body.x : 0), s.y - (body ? body.y : 0),
+          s.vx - (body ? body.vx : 0), s.vy - (body ? body.vy : 0),
+          dt,
+        );
+        return () => {
+          s.x = (body ? body.x : 0) + rel.rx;
+          s.y = (body ? body.y : 0) + rel.ry;
+          s.vx = (body ? body.vx : 0) + rel.vx;
+          s.vy = (body ? body.vy : 0) + rel.vy;
+        };
+      };
+      const place = [...stations, ...(flying ? [rocket] : [])].map(coast);
+      // Relative to the parent's old state, then placed on its new one.
+      const moved = planets.map(({ parent: c, x, y, vx, vy }) => propagateKepler(
+        L.G * (c ? c.mass : L.SUN_MASS),
+        x - (c ? c.x : 0), y - (c ? c.y : 0), vx - (c ? c.vx : 0), vy - (c ? c.vy : 0),
+        dt,
+      ));
+      for (const pl of planets) {
+        const next = moved[pl.idx];
+        const c = pl.parent;
+        pl.x = next.rx + (c ? c.x : 0);
+        pl.y = next.ry + (c ? c.y : 0);
+        pl.vx = next.vx + (c ? c.vx : 0);
+        pl.vy = next.vy + (c ? c.vy : 0);
+      }
+      for (const pl of planets) pl.rotation += pl.spin * dt;
+      for (const fn of place) fn();
+      if (flying) {
+        rocket.thrusting = false;
+        rocket.throttle = 0;
+      } else if (rocket.alive && rocket.docked) {
+        stepDocked({}, dt);
+      } else if (rocket.alive) {
+        stepLanded({}, dt);
+      }
+      rocket.heat *= Math.exp(-HEAT_COOLING * dt);
+      sim.time += dt;
+      sim.stepCount += steps;
+    },
+
+    /** Put the rocket back at its spawn point with a full tank. */
+    respawn() {
+      placeRocket();
+      emit('respawned', { planet: spawnPlanet });
+    },
+
+    /** Delta-v left in the tank (Infinity with unlimited fuel). */
+    remainingDeltaV() {
+      if (!Number.isFinite(rocket.fuel)) return Infinity;
+      return deltaV(L.ROCKET_ISP, rocket.mass, dryMass);
+    },
+
+    /** Atmosphere the rocket is in: { planet, density }, or null in vacuum. */
+    air() {
+      const air = rocket.alive ? airAt(rocket, planets) : null;
+      return air && { planet: air.planet, density: air.density };
+    },
+
+    /** Plain-data copy of the mutable world state. */
+    snapshot() {
+      return {
+        time: sim.time,
+        stepCount: sim.stepCount,
+        planets: planets.map(({ x, y, vx, vy, rotation }) => ({ x, y, vx, vy, rotation })),
+        stations: stations.map(({ x, y, vx, vy }) => ({ x, y, vx, vy })),
+        rocket: { ...rocket },
+      };
+    },
+
+    /** Overwrite the world state with a snapshot() of the same level. */
+    restore(state) {
+      sim.time = state.time;
+      sim.stepCount = state.stepCount;
+      state.planets.forEach((p, i) => Object.assign(planets[i], p));
+      state.stations?.forEach((s, i) => Object.assign(stations[i], s));
+      // Saves from before reentry heating, analog throttle and docking lack those.
+      Object.assign(rocket, {
+        heat: 0, throttle: state.rocket.thrusting ? 1 : 0, docked: false, undockedFrom: null,
+      }, state.rocket);
+    },
+  };
+
+  placeRocket();
+  return sim;
+}
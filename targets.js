@@ -0,0 +1,52 @@
+// =============================================================
+// targets.js - Things the rocket can target, and its motion relative to them
+// =============================================================
+//
+// A target id is 'sun', a planet index or 'station:<index>' for a station
+// (sim.stations). It is part of the step input (input.sasTarget, for the
+// target SAS modes) and of saved states, so ids stay plain data. Pure
+// functions, no DOM.
+
+const STATION_PREFIX = 'station:';
+
+/** Target id of the station with index `idx`. */
+export const stationTargetId = (idx) => `${STATION_PREFIX}${idx}`;
+
+/** Station index of a target id, or null for the sun and planets. */
+export function stationIndex(id) {
+  return typeof id === 'string' && id.startsWith(STATION_PREFIX) ? Number(id.slice(STATION_PREFIX.length)) : null;
+}
+
+/** Target ids in cycling order: the sun, every planet, every station. */
+export function targetIds(planets, stations = []) {
+  return ['sun', ...planets.map(p => p.idx), ...stations.map(s => stationTargetId(s.idx))];
+}
+
+/**
+ * The body a target id stands for: the planet or station object itself (kept
+ * up to date by the simulation) or a resting sun { name, x, y, vx, vy,
+ * radius }. null for no or an unknown target.
+ */
+export function targetBody(L, planets, id, stations = []) {
+  if (id === 'sun') return { name: 'Sun', x: 0, y: 0, vx: 0, vy: 0, radius: L.SUN_RADIUS };
+  const station = stationIndex(id);
+  if (station !== null) return stations[station] ?? null;
+  return planets[id] ?? null;
+}
+
+/**
+ * Rocket motion relative to `body`: { distance, closingSpeed (positive while
+ * getting closer), vx, vy, speed, lateral } with (vx, vy) the rocket's
+ * velocity relative to the body and lateral its part across the line of
+ * sight.
+ */
+export function relativeMotion(rocket, body) {
+  const dx = body.x - rocket.x;
+  const dy = body.y - rocket.y;
+  const distance = Math.hypot(dx, dy);
+  const vx = rocket.vx - body.vx;
+  const vy = rocket.vy - body.vy;
+  const closingSpeed = distance > 0 ? (vx * dx + vy * dy) / distance : 0;
+  const lateral = distance > 0 ? (vy * dx - vx * dy) / distance : 0;
+  return { distance, closingSpeed, vx, vy, speed: Math.hypot(vx, vy), lateral };
+}
@@ -0,0 +1,121 @@
+// =============================================================
+// telemetry.js - Flight data recording and export
+// =============================================================
+//
+// Samples the rocket every SAMPLE_INTERVAL of simulated time for the
+// telemetry panel and for analysis elsewhere (a spreadsheet or notebook via
+// the CSV / JSON export). Headless; game.js draws the charts.
+
+import { dominantBody } from './orbit.js';
+
+// Simulated seconds between samples; on-rails warps give one per jump.
+const SAMPLE_INTERVAL = 0.1;
+// Oldest samples go first past this (an hour of flight at SAMPLE_INTERVAL).
+const MAX_SAMPLES = 36000;
+
+/**
+ * Sample fields in export order:
+ *   t           simulated seconds
+ *   body        dominant body the rocket is in the sphere of influence of
+ *   altitude    above that body's surface
+ *   speed       relative to that body
+ *   reference   planet chosen for relSpeed (see setReference)
+ *   relSpeed    relative to the reference planet
+ *   accel       average acceleration since the last sample (gravity
+ *               included), null after a respawn
+ *   throttle    0..1, 0 while the engine is off
+ *   fuel        propellant left (null when unlimited)
+ *   landed      1 while landed or docked, else 0
+ * While the rocket is destroyed one sample with only t set (the rest null)
+ * marks the gap, so charts and exports don't run across it.
+ */
+export const TELEMETRY_FIELDS = [
+  't', 'body', 'altitude', 'speed', 'reference', 'relSpeed', 'accel', 'throttle', 'fuel', 'landed',
+];
+
+function gapSample(t) {
+  const sample = { t };
+  for (const key of TELEMETRY_FIELDS) if (key !== 't') sample[key] = null;
+  return sample;
+}
+
+/**
+ * Record telemetry from `sim`. Call sample() after every step or warp; it
+ * keeps one sample per SAMPLE_INTERVAL and, should time go back (a replay
+ * seek), drops the samples after it. reference is a planet index.
+ * Returns { samples, reference, setReference(idx), sample, clear, toCSV, toJSON }.
+ */
+export function createTelemetry(sim, reference = sim.homePlanet.idx) {
+  const { L, planets, rocket } = sim;
+  // Inertial velocity and time at the last sample, for accel.
+  let prev = null;
+
+  const telemetry = {
+    samples: [],
+    reference,
+
+    setReference(idx) {
+      telemetry.reference = idx;
+    },
+
+    sample() {
+      const { samples } = telemetry;
+      const last = samples[samples.length - 1];
+      if (last && sim.time < last.t) {
+        while (samples.length && samples[samples.length - 1].t > sim.time) samples.pop();
+        prev = null;
+      } else if (last && sim.time - last.t < SAMPLE_INTERVAL) {
+        return;
+      }
+      if (!rocket.alive) {
+        if (last?.body !== null) samples.push(gapSample(sim.time));
+        return;
+      }
+
+      const body = dominantBody(L, planets, rocket.x, rocket.y);
+      const ref = planets[telemetry.reference] ?? sim.homePlanet;
+      const dt = prev ? sim.time - prev.t : 0;
+      samples.push({
+        t: sim.time,
+        body: body ? body.name : 'Sun',
+        altitude: body
+          ? Math.hypot(rocket.x - body.x, rocket.y - body.y) - body.radius
+          : Math.hypot(rocket.x, rocket.y) - L.SUN_RADIUS,
+        speed: Math.hypot(rocket.vx - (body ? body.vx : 0), rocket.vy - (body ? body.vy : 0)),
+        reference: ref.name,
+        relSpeed: Math.hypot(rocket.vx - ref.vx, rocket.vy - ref.vy),
+        accel: dt > 0 ? Math.hypot(rocket.vx - prev.vx, rocket.vy - prev.vy) / dt : null,
+        throttle: rocket.thrusting ? rocket.throttle : 0,
+        fuel: Number.isFinite(rocket.fuel) ? rocket.fuel : null,
+        landed: rocket.landed || rocket.docked ? 1 : 0,
+      });
+      if (samples.length > MAX_SAMPLES) samples.splice(0, samples.length - MAX_SAMPLES);
+      prev = { t: sim.time, vx: rocket.vx, vy: rocket.vy };
+    },
+
+    clear() {
+      telemetry.samples.length = 0;
+      prev = null;
+    },
+
+    /** Header row and one row per sample; empty cells for null. */
+    toCSV() {
+      const cell = (v) => (v === null ? '' : typeof v === 'string' ? `"${v.replace(/"/g, '""')}"` : String(v));
+      const rows = telemetry.samples.map(s => TELEMETRY_FIELDS.map(k => cell(s[k])).join(','));
+      return [TELEMETRY_FIELDS.join(','), ...rows].join('\n') + '\n';
+    },
+
+    /** { level, fields, samples } with samples as arrays in field order. */
+    toJSON() {
+      return JSON.stringify({
+        level: L.name,
+        fields: TELEMETRY_FIELDS,
+        samples: telemetry.samples.map(s => TELEMETRY_FIELDS.map(k => s[k])),
+      });
+    },
+  };
+
+  // A respawn teleports; no acceleration across it.
+  sim.on('respawned', () => { prev = null; });
+  return telemetry;
+}
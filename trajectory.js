@@ -0,0 +1,156 @@
+// =============================================================
+// trajectory.js - Forward-propagated rocket path
+// =============================================================
+//
+// Runs a throwaway copy of the simulation ahead of time (coasting, no input,
+// optionally with a planned maneuver node) and reports the path, the first
+// impact and closest approaches to each planet and to the target. Headless;
+// game.js draws the result.
+
+import { createSimulation, FIXED_DT } from './simulation.js';
+import { dominantBody } from './orbit.js';
+import { nodeDeltaV } from './maneuver.js';
+import { targetBody } from './targets.js';
+
+// Adaptive step: a fraction of the local orbital timescale sqrt(r^3 / GM)
+// around the nearest/heaviest body, clamped to [FIXED_DT, MAX_DT].
+const STEP_FRACTION = 0.1;
+const MAX_DT = 0.5;
+
+function adaptiveDt(L, planets, rocket) {
+  const tau = (d, m) => Math.sqrt(d * d * d / (L.G * m));
+  let dt = STEP_FRACTION * tau(Math.hypot(rocket.x, rocket.y), L.SUN_MASS);
+  for (const pl of planets) {
+    dt = Math.min(dt, STEP_FRACTION * tau(Math.hypot(rocket.x - pl.x, rocket.y - pl.y), pl.mass));
+  }
+  return Math.max(FIXED_DT, Math.min(MAX_DT, dt));
+}
+
+/**
+ * Predict where the rocket goes if it coasts from the current state of `sim`.
+ *
+ * Options: { duration (sim seconds, default L.TRAJECTORY_TIME), maxPoints,
+ * maneuver, target (id, see targets.js) }. A future maneuver node (see
+ * maneuver.js) is applied as an instant delta-v when the ghost reaches
+ * node.t, and the look-ahead is extended to cover `duration` past it.
+ * Returns null when the rocket is landed, docked or destroyed, else
+ * {
+ *   frame,          // dominant planet at the start, which the points are
+ *                   // relative to (null for the sun), so orbits around a
+ *                   // planet draw as closed loops
+ *   points,         // [{ x, y, t }] rocket position relative to frame
+ *   impact,         // null or { body, planet, x, y, t, landed, outcome }
+ *                   // (x/y relative to frame); body is the crash cause,
+ *                   // 'heat' for burning up; outcome 'safe' | 'hard' |
+ *                   // 'crash' at the current attitude (see touchdown in
+ *                   // simulation.js), null for burning up
+ *   approaches,     // [{ planet, distance, x, y, t }] first local minimum per
+ *                   // planet other than the frame
+ *   targetApproach, // null or { distance, speed, x, y, t }: closest the
+ *                   // path gets to the target in the whole look-ahead, and
+ *                   // the relative speed there
+ *   burn,           // null or { index, x, y, t, dvx, dvy, body, prograde,
+ *                   // radialOut } for the node (see nodeDeltaV);
+ *                   // points[index] is where the burn happens
+ * }
+ * where t is seconds from now.
+ */
+export function predictTrajectory(sim, options = {}) {
+  const L = sim.L;
+  const node = options.maneuver && options.maneuver.t >= sim.time ? options.maneuver : null;
+  const duration = (options.duration ?? L.TRAJECTORY_TIME ?? 30) + (node ? node.t - sim.time : 0);
+  const maxPoints = options.maxPoints ?? 2000;
+  if (!sim.rocket.alive || sim.rocket.landed || sim.rocket.docked) return null;
+
+  const ghost = createSimulation(L);
+  ghost.restore(sim.snapshot());
+  const { planets, stations, rocket } = ghost;
+  const frame = dominantBody(L, planets, rocket.x, rocket.y);
+  const frameIdx = frame ? frame.idx : -1;
+  const rel = () => ({
+    x: rocket.x - (frameIdx >= 0 ? planets[frameIdx].x : 0),
+    y: rocket.y - (frameIdx >= 0 ? planets[frameIdx].y : 0),
+  });
+
+  // Collisions report when within the step they happened (hit.time).
+  let impact = null;
+  const onImpact = (body, planet, landed, hit) => {
+    const t = (hit ? hit.time : ghost.time) - sim.time;
+    impact = {
+      body, planet: planet ? sim.planets[planet.idx] : null, ...rel(), t, landed, outcome: hit?.outcome ?? null,
+    };
+  };
+  ghost.on('crashed', ({ cause, planet, impact: hit }) => onImpact(cause, planet, false, hit));
+  ghost.on('landed', ({ planet, impact: hit }) => onImpact('planet', planet, true, hit));
+
+  // Track distance to each planet; the first interior minimum is its closest
+  // approach. Minima at either end of the window are not real approaches.
+  const dist = (pl) => Math.hypot(rocket.x - pl.x, rocket.y - pl.y);
+  const track = planets.map((pl) => ({ prev: dist(pl), falling: false, best: null, done: pl.idx === frameIdx }));
+  const approaches = [];
+  const target = targetBody(L, planets, options.target, stations);
+  const closerToTarget = (p, t) => {
+    const d = dist(target);
+    if (targetApproach && d >= targetApproach.distance) return;
+    targetApproach = { distance: d, speed: Math.hypot(rocket.vx - target.vx, rocket.vy - target.vy), ...p, t };
+  };
+  let targetApproach = null;
+  if (target) closerToTarget(rel(), 0);
+
+  let burn = null;
+  const applyBurn = () => {
+    const { dvx, dvy, body, prograde, radialOut } = nodeDeltaV(L, planets, rocket, node);
+    rocket.vx += dvx;
+    rocket.vy += dvy;
+    burn = {
+      index: points.length - 1, ...rel(), t: ghost.time - sim.time,
+      dvx, dvy, body: body ? sim.planets[body.idx] : null, prograde, radialOut,
+    };
+  };
+
+  const points = [{ ...rel(), t: 0 }];
+  while (points.length < maxPoints && ghost.time - sim.time < duration) {
+    let dt = adaptiveDt(L, planets, rocket);
+    if (node && !burn) {
+      // Land exactly on the node before burning.
+      if (node.t - ghost.time < 1e-6) {
+        applyBurn();
+      } else {
+        dt = Math.min(dt, node.t - ghost.time);
+      }
+    }
+    ghost.step({}, dt);
+    const t = ghost.time - sim.time;
+    if (impact) {
+      points.push({ x: impact.x, y: impact.y, t: impact.t });
+      break;
+    }
+    const p = rel();
+    points.push({ ...p, t });
+
+    planets.forEach((pl, i) => {
+      const d = dist(pl);
+      const tr = track[i];
+      if (tr.done) return;
+      if (d < tr.prev) {
+        tr.falling = true;
+        tr.best = { planet: sim.planets[i], distance: d, ...p, t };
+      } else if (tr.falling) {
+        approaches.push(tr.best);
+        tr.done = true;
+      }
+      tr.prev = d;
+    });
+
+    if (target) closerToTarget(p, t);
+  }
+
+  return {
+    frame: frameIdx >= 0 ? sim.planets[frameIdx] : null,
+    points,
+    impact,
+    approaches,
+    targetApproach,
+    burn,
+  };
+}
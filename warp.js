@@ -0,0 +1,120 @@
+// =============================================================
+// warp.js - When high time warp may run "on rails"
+// =============================================================
+//
+// Above PHYSICS_WARP_LIMIT the game advances the world with sim.warp() in
+// chunks instead of fixed steps. On rails the rocket follows a pure two-body
+// orbit around its dominant body, so a chunk must end before that stops
+// being true: before the rocket crosses a sphere of influence, and never on
+// a trajectory into the body it orbits or through its atmosphere (drag).
+// N-body levels (L.N_BODY) have no closed orbits to follow and always run
+// physics. Stations go on rails too; a rocket flying past one there can't
+// dock, so rendezvous happens at physics speed. railsLimit() works out how
+// long the next chunk may be, warpOnRails() strings chunks together. Pure
+// functions, no DOM.
+
+import { FIXED_DT } from './simulation.js';
+import { rocketOrbit, sphereOfInfluence, orbitalElements } from './orbit.js';
+
+// Highest time scale that runs physics steps; above it the world goes on rails.
+export const PHYSICS_WARP_LIMIT = 16;
+// Chunks shorter than this (simulated seconds) aren't worth it: the rocket is
+// about to cross an SOI, so let physics carry it over.
+const MIN_RAILS_TIME = 1;
+// A chunk covers at most this fraction of the gap to an SOI boundary, at the
+// current relative speed, so it stops short of it even if the rocket speeds up.
+const SOI_GAP_FRACTION = 0.5;
+// Largest pull from another planet, relative to the center body's, that
+// on-rails motion may ignore.
+const MAX_PERTURBATION = 0.1;
+
+// Whether the rocket's orbit and that of a planet circling the same body
+// stay at distances (from that body) too far apart for the rocket to ever
+// reach the planet's SOI, which grows with the planet's distance.
+function apartFrom(L, orbit, planet, soi) {
+  const c = planet.parent;
+  const rx = planet.x - (c ? c.x : 0);
+  const ry = planet.y - (c ? c.y : 0);
+  const p = orbitalElements(
+    L.G * (c ? c.mass : L.SUN_MASS), rx, ry, planet.vx - (c ? c.vx : 0), planet.vy - (c ? c.vy : 0),
+  );
+  const reach = soi * p.apoapsis / Math.hypot(rx, ry);
+  return orbit.apoapsis < p.periapsis - reach || orbit.periapsis > p.apoapsis + reach;
+}
+
+/**
+ * Longest on-rails chunk (simulated seconds) `sim` may take from its current
+ * state. Returns { time, reason }: time is Infinity when nothing limits it
+ * (landed, docked or destroyed rocket), and 0 with reason 'collision course',
+ * 'atmosphere', 'SOI change', 'near <planet>' or 'N-body' when the world has
+ * to stay on physics for now.
+ */
+export function railsLimit(sim) {
+  const { L, planets, rocket } = sim;
+  if (L.N_BODY) return { time: 0, reason: 'N-body' };
+  if (!rocket.alive || rocket.landed || rocket.docked) return { time: Infinity, reason: null };
+
+  const orbit = rocketOrbit(L, planets, rocket);
+  const { body } = orbit;
+  // Escape trajectories past periapsis can't come back down.
+  const surface = (body ? body.collisionRadius : L.SUN_COLLISION_RADIUS) + L.ROCKET_SIZE;
+  if ((orbit.bound || orbit.timeToPeriapsis !== null) && orbit.periapsis < surface) {
+    return { time: 0, reason: 'collision course' };
+  }
+
+  // Gravity of the center body (over G) at the rocket.
+  const r = Math.hypot(rocket.x - (body ? body.x : 0), rocket.y - (body ? body.y : 0));
+  // In the air, or going to dip into it.
+  const airTop = body?.atmosphere ? body.radius + body.atmosphere.height : 0;
+  if (r < airTop || ((orbit.bound || orbit.timeToPeriapsis !== null) && orbit.periapsis < airTop)) {
+    return { time: 0, reason: 'atmosphere' };
+  }
+  const centerPull = (body ? body.mass : L.SUN_MASS) / (r * r);
+
+  let time = Infinity;
+  if (body) {
+    const soi = sphereOfInfluence(L, body);
+    if (orbit.apoapsis >= soi) {
+      time = SOI_GAP_FRACTION * (soi - r) / orbit.speed;
+    }
+  }
+  for (const pl of planets) {
+    const soi = sphereOfInfluence(L, pl);
+    const d = Math.hypot(rocket.x - pl.x, rocket.y - pl.y);
+    const gap = d - soi;
+    // Overlapping SOIs: only the smallest one containing the rocket counts.
+    if (pl === body || gap <= 0) continue;
+    // Pulled hard by a planet outside its SOI (small levels with light
+    // planets): a two-body orbit would be badly off.
+    if (pl.mass / (d * d) > MAX_PERTURBATION * centerPull) {
+      return { time: 0, reason: `near ${pl.name}` };
+    }
+    if (pl.parent === body && apartFrom(L, orbit, pl, soi)) continue;
+    const speed = Math.hypot(rocket.vx - pl.vx, rocket.vy - pl.vy);
+    time = Math.min(time, SOI_GAP_FRACTION * gap / speed);
+  }
+  if (!(time >= MIN_RAILS_TIME)) return { time: 0, reason: 'SOI change' };
+  return { time, reason: null };
+}
+
+/**
+ * Warp `sim` up to `steps` fixed steps on rails, in chunks railsLimit()
+ * allows. Stops early when the world has to go back to physics, or when
+ * `stop()` says so (the game's per-frame time budget). Returns { steps,
+ * reason } with the steps actually warped.
+ *
+ * Chunking depends only on the world state and `steps`, so warping the
+ * returned number of steps again from the same state repeats it exactly;
+ * replays record just that number.
+ */
+export function warpOnRails(sim, steps, stop = () => false) {
+  let done = 0;
+  while (done < steps && !stop()) {
+    const limit = railsLimit(sim);
+    if (!limit.time) return { steps: done, reason: limit.reason };
+    const chunk = Math.min(steps - done, Math.max(1, Math.floor(limit.time / FIXED_DT)));
+    sim.warp(chunk);
+    done += chunk;
+  }
+  return { steps: done, reason: null };
+}